@@ -0,0 +1,175 @@
+'use strict';
+
+const elv = require('elv');
+
+
+const msg = {
+  options: 'Circuit breaker options must be an object',
+  resetTimeout: 'Circuit breaker "resetTimeout" must be a non-negative number',
+  threshold: 'Circuit breaker "threshold" must be a positive integer',
+};
+
+
+const defaults = {
+  threshold: 5,
+  resetTimeout: 30000,
+};
+
+
+const states = ['closed', 'open', 'half-open'];
+
+
+/**
+ * Checks circuit breaker options.
+ *
+ * @param {*} options
+ *
+ * @return {String|null} A description of the problem, or null if the options
+ * are valid.
+ */
+function validate(options) {
+  if (!elv(options) || typeof options !== 'object' || Array.isArray(options)) {
+    return msg.options;
+  }
+
+  if (elv(options.threshold)
+      && (!Number.isInteger(options.threshold) || options.threshold < 1)) {
+    return msg.threshold;
+  }
+
+  if (elv(options.resetTimeout)
+      && (typeof options.resetTimeout !== 'number'
+          || !(options.resetTimeout >= 0))) {
+    return msg.resetTimeout;
+  }
+
+  return null;
+}
+
+
+/**
+ * Tracks consecutive connection failures for a database.  After threshold
+ * failures the circuit opens, and requests are refused until resetTimeout
+ * has passed.  The circuit then half-opens, letting a single request through
+ * to probe whether the database has recovered.
+ *
+ * @param {Object} options Valid circuit breaker options.
+ * @param {Function} [onChange] Called with the new and previous states.
+ */
+class CircuitBreaker {
+  constructor(options, onChange) {
+    this.threshold = elv.coalesce(options.threshold, defaults.threshold);
+    this.resetTimeout = elv.coalesce(
+      options.resetTimeout,
+      defaults.resetTimeout
+    );
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = null;
+    this._probing = false;
+    this._onChange = onChange;
+  }
+
+
+  /**
+   * @private
+   */
+  _change(state) {
+    const previous = this.state;
+    this.state = state;
+    if (elv(this._onChange)) this._onChange(state, previous);
+  }
+
+
+  /**
+   * The time, in milliseconds since the epoch, after which the circuit will
+   * let a probe through, or null if the circuit is not open.
+   *
+   * @return {Number|null}
+   */
+  get retryAt() {
+    if (this.state !== 'open') return null;
+    return this.openedAt + this.resetTimeout;
+  }
+
+
+  /**
+   * Gets whether a request may go through.  Calling this while the circuit is
+   * half-open claims the single probe.
+   *
+   * @return {Boolean}
+   */
+  allow() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open') {
+      if (Date.now() < this.retryAt) return false;
+      this._change('half-open');
+    }
+
+    if (this._probing) return false;
+
+    this._probing = true;
+    return true;
+  }
+
+
+  /**
+   * Records a successful connection.
+   */
+  success() {
+    this.failures = 0;
+    this._probing = false;
+    this.openedAt = null;
+    if (this.state !== 'closed') this._change('closed');
+  }
+
+
+  /**
+   * Records a failed connection.
+   */
+  failure() {
+    this.failures++;
+    this._probing = false;
+
+    if (this.state === 'half-open'
+        || (this.state === 'closed' && this.failures >= this.threshold)) {
+      this.openedAt = Date.now();
+      this._change('open');
+    }
+  }
+
+
+  /**
+   * Records a connection attempt that says nothing about whether the
+   * database can be reached, which lets another probe through.
+   */
+  skip() {
+    this._probing = false;
+  }
+
+
+  /**
+   * Gets a plain object describing the circuit.
+   *
+   * @return {Object}
+   */
+  snapshot() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      retryAt: this.retryAt,
+    };
+  }
+}
+
+
+/**
+ * @module breaker
+ */
+module.exports = {
+  CircuitBreaker,
+  defaults,
+  states,
+  validate,
+};
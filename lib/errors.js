@@ -4,11 +4,40 @@ const elv = require('elv');
 
 
 const msg = {
+  circuitOpen: 'Circuit breaker is open for database ',
   configuration: 'Invalid configuration',
+  lock: 'Advisory lock could not be acquired for the key ',
+  migration: 'Migration failed',
   missingRepo: 'No repository found with the name ',
+  queryResult: 'Query returned an unexpected number of rows',
+  unknownTenant: 'No tenant found with the name ',
 };
 
 
+/**
+ * Thrown when a client is requested from a database whose circuit breaker is
+ * open.
+ *
+ * @extends Error
+ *
+ * @param {String} database The name of the database.
+ * @param {Number} retryAt When the circuit will next let a request through,
+ * in milliseconds since the epoch.
+ *
+ * @property {String} message A human-readable description of the error.
+ * @property {Object} data The database name and retryAt time.
+ */
+function CircuitOpenError(database, retryAt) {
+  Error.call(this);
+  Error.captureStackTrace(this, CircuitOpenError);
+
+  this.message = msg.circuitOpen + database;
+  this.data = { database, retryAt };
+}
+CircuitOpenError.prototype = Object.create(Error.prototype);
+CircuitOpenError.prototype.constructor = CircuitOpenError;
+
+
 /**
  * Thrown when an invalid configuration is encountered.
  *
@@ -32,6 +61,52 @@ ConfigurationError.prototype = Object.create(Error.prototype);
 ConfigurationError.prototype.constructor = ConfigurationError;
 
 
+/**
+ * Thrown when an advisory lock could not be acquired, because it is held
+ * elsewhere.
+ *
+ * @extends Error
+ *
+ * @param {String|Number} key The key of the lock.
+ *
+ * @property {String} message A human-readable description of the error.
+ * @property {Object} data The key of the lock.
+ */
+function LockError(key) {
+  Error.call(this);
+  Error.captureStackTrace(this, LockError);
+
+  this.message = msg.lock + key;
+  this.data = { key };
+}
+LockError.prototype = Object.create(Error.prototype);
+LockError.prototype.constructor = LockError;
+
+
+/**
+ * Thrown when migrations cannot be run, such as when an applied migration's
+ * file has changed since it ran.
+ *
+ * @extends Error
+ *
+ * @param {String} message
+ * @param {*} [data]
+ *
+ * @property {String} message A human-readable description of the error.
+ * @property {*} data Additional information about the error.
+ */
+function MigrationError(message, data) {
+  Error.call(this);
+  Error.captureStackTrace(this, MigrationError);
+
+  this.message = elv.coalesce(message, msg.migration);
+  this.data = data;
+}
+MigrationError.defaultMessage = msg.migration;
+MigrationError.prototype = Object.create(Error.prototype);
+MigrationError.prototype.constructor = MigrationError;
+
+
 /**
  * Thrown when an invalid configuration is encountered.
  *
@@ -54,13 +129,69 @@ MissingRepositoryError.prototype = Object.create(Error.prototype);
 MissingRepositoryError.prototype.constructor = MissingRepositoryError;
 
 
+/**
+ * Thrown when a query returns a different number of rows than was expected.
+ *
+ * @extends Error
+ *
+ * @param {String} message
+ * @param {*} [data]
+ *
+ * @property {String} message A human-readable description of the error.
+ * @property {*} data Additional information about the error.
+ */
+function QueryResultError(message, data) {
+  Error.call(this);
+  Error.captureStackTrace(this, QueryResultError);
+
+  this.message = elv.coalesce(message, msg.queryResult);
+  this.data = data;
+}
+QueryResultError.defaultMessage = msg.queryResult;
+QueryResultError.prototype = Object.create(Error.prototype);
+QueryResultError.prototype.constructor = QueryResultError;
+
+
+/**
+ * Thrown when a tenant repository is asked for a tenant that neither its
+ * tenant map nor its resolver knows.
+ *
+ * @extends Error
+ *
+ * @param {String} repository The name of the repository.
+ * @param {String} tenant The name of the unknown tenant.
+ *
+ * @property {String} message A human-readable description of the error.
+ * @property {Object} data The repository and tenant names.
+ */
+function UnknownTenantError(repository, tenant) {
+  Error.call(this);
+  Error.captureStackTrace(this, UnknownTenantError);
+
+  this.message = `${msg.unknownTenant + tenant} for repository ${repository}`;
+  this.data = { repository, tenant };
+}
+UnknownTenantError.prototype = Object.create(Error.prototype);
+UnknownTenantError.prototype.constructor = UnknownTenantError;
+
+
 /**
  * @module errors
  *
+ * @property {CircuitOpenError} CircuitOpenError
  * @property {ConfigurationError} ConfigurationError
+ * @property {LockError} LockError
+ * @property {MigrationError} MigrationError
  * @property {MissingRepositoryError} MissingRepositoryError
+ * @property {QueryResultError} QueryResultError
+ * @property {UnknownTenantError} UnknownTenantError
  */
 module.exports = {
+  CircuitOpenError,
   ConfigurationError,
+  LockError,
+  MigrationError,
   MissingRepositoryError,
+  QueryResultError,
+  UnknownTenantError,
 };
@@ -0,0 +1,110 @@
+'use strict';
+
+const elv = require('elv');
+const Promise = require('bluebird');
+
+const stats = require('./stats');
+
+
+const msg = {
+  timeout: 'Health check timed out after ',
+};
+
+
+const probeQuery = 'SELECT 1 AS ok, pg_is_in_recovery() AS in_recovery';
+
+
+/**
+ * Checks a client out of the pool, and runs a lightweight query on it to see
+ * whether the database is reachable, and whether it is in recovery.
+ *
+ * @param {Pool} pool
+ * @param {Number} timeout Milliseconds before the probe is considered failed.
+ *
+ * @return {Promise} Resolves to the database's status.  Never rejects.
+ */
+function probe(pool, timeout) {
+  const started = Date.now();
+
+  const check = new Promise((resolve, reject) => {
+    pool.connect((err, client, done) => {
+      if (elv(err)) {
+        reject(err);
+        return;
+      }
+
+      Promise.try(() => client.query(probeQuery))
+        .then((result) => {
+          done();
+          resolve(result);
+        }, (queryErr) => {
+          done(queryErr);
+          reject(queryErr);
+        });
+    });
+  });
+
+  return check
+    .timeout(timeout, `${msg.timeout}${timeout}ms`)
+    .then((result) => {
+      const row = elv.coalesce(result.rows[0], {});
+
+      return {
+        healthy: true,
+        latency: Date.now() - started,
+        role: (row.in_recovery === true) ? 'replica' : 'primary',
+        error: null,
+      };
+    }, err => ({
+      healthy: false,
+      latency: Date.now() - started,
+      role: null,
+      error: err.message,
+    }))
+    .then(status => Object.assign(status, {
+      pool: stats.poolCounts(pool),
+    }));
+}
+
+
+/**
+ * Creates a request handler for Node's http module that responds with the
+ * report produced by check().  The status code is 200 when the report is
+ * healthy, and 503 otherwise.
+ *
+ * @param {Function} check Returns a Promise that resolves to a report.
+ *
+ * @return {Function}
+ */
+function handler(check) {
+  return (req, res) => {
+    const respond = (statusCode, report) => {
+      const body = JSON.stringify(report);
+
+      res.writeHead(statusCode, {
+        'Content-Type': 'application/json',
+        'Content-Length': Buffer.byteLength(body),
+        'Cache-Control': 'no-cache',
+      });
+
+      res.end((req.method === 'HEAD') ? undefined : body);
+    };
+
+    Promise.try(check)
+      .then((report) => {
+        respond((report.healthy) ? 200 : 503, report);
+      }, (err) => {
+        respond(500, { healthy: false, error: err.message });
+      });
+  };
+}
+
+
+/**
+ * @module health
+ */
+module.exports = {
+  handler,
+  probe,
+  probeQuery,
+};
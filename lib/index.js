@@ -2,36 +2,158 @@
 
 const elv = require('elv');
 const EventEmitter = require('events').EventEmitter;
+const fs = require('fs');
 const Kibbutz = require('kibbutz');
 const pg = require('pg');
 const Promise = require('bluebird');
 
+const breaker = require('./breaker');
+const connection = require('./connection');
 const errors = require('./errors');
-
+const health = require('./health');
+const locks = require('./locks');
+const migrations = require('./migrations');
+const notifications = require('./notifications');
+const plugins = require('./plugins');
+const providerFactories = require('./providers');
+const retry = require('./retry');
+const sandbox = require('./sandbox');
+const schema = require('./schema');
+const secrets = require('./secrets');
+const session = require('./session');
+const sharding = require('./sharding');
+const stats = require('./stats');
+const tenants = require('./tenants');
+const transaction = require('./transaction');
+
+const CircuitOpenError = errors.CircuitOpenError;
 const ConfigurationError = errors.ConfigurationError;
+const LockError = errors.LockError;
 const MissingRepositoryError = errors.MissingRepositoryError;
+const QueryResultError = errors.QueryResultError;
+const UnknownTenantError = errors.UnknownTenantError;
 
 
 const msg = {
   argCallback: 'Argument "callback" must be a function',
+  argChannelStr: 'Argument "channel" must be a non-empty string',
+  argFn: 'Argument "fn" must be a function',
+  argDatabaseStr: 'Argument "database" must be a non-empty string',
   argEventNameStr: 'Argument "eventName" must be a non-empty string',
+  argFilesArray: 'Option "files" must be an array of non-empty strings',
+  argHandlerFn: 'Argument "handler" must be a function',
   argUnknownEventName: 'Argument "eventName" references an unknown event: ',
   argListenerFn: 'Argument "listener" must be a function',
+  argOptionsPojo: 'Argument "options" must be an object',
   argPgLib: 'Argument "lib" must include a constructor for Pool',
+  argParamsArray: 'Argument "params" must be an array',
+  argPluginRepos: 'Option "repositories" must be an array of non-empty ' +
+    'strings',
   argProvidersArray: 'Argument "providers" must be an array',
   argProvidersLen: 'Argument "providers" cannot be empty',
+  argResolverFn: 'Argument "resolver" must be a function',
+  argResolverName: 'Argument "name" must be a non-empty string that does ' +
+    'not name a built-in secret resolver',
+  argQueryText: 'Argument "textOrConfig" must be a non-empty string, or an ' +
+    'object with a non-empty "text" key',
   argRepoStr: 'Argument "repository" must be a non-empty string',
-  dbConfHostStr: 'Databases require a "host" key that is a non-empty string',
-  dbConfPojo: 'Loaded configuration "databases" sub keys must be POJOs',
-  databasesPojo: 'Loaded configuration\'s "databases" key must be a POJO',
-  noDatabases: 'Loaded configuration does not contain any "databases"',
-  reposPojo: 'Loaded configuration\'s "repositories" key must be a POJO',
-  repoConfMapping: 'Configured repository is mapped to missing database name',
-  repoConfStr: 'Loaded configuration "repositories" must non-empty strings',
+  argRepoOrClient: 'Argument "repository" must be a non-empty string, or a ' +
+    'client inside a transaction',
+  argShardedRepo: 'Argument "repository" must name a sharded repository',
+  argShardKey: 'Option "shardKey" must be a string or a finite number for ' +
+    'sharded repositories',
+  argShardKeyUnused: 'Option "shardKey" can only be used with sharded ' +
+    'repositories',
+  argTenantStr: 'Option "tenant" must be a non-empty string for tenant ' +
+    'repositories',
+  argTenantUnused: 'Option "tenant" can only be used with tenant repositories',
+  argTimeoutNum: 'Option "timeout" must be a non-negative number',
+  argIntervalNum: 'Option "interval" must be a non-negative number',
+  argIncludeParamsBool: 'Option "includeParams" must be a boolean',
+  argJsonBool: 'Option "json" must be a boolean',
+  argLeaderShared: 'Option "shared" cannot be used for leadership, which ' +
+    'is exclusive',
+  argLeaksOptions: 'Argument "options" must be an object or false',
+  argListenRepo: 'Argument "repository" cannot name a sharded or tenant ' +
+    'repository',
+  argMigrateRepo: 'Argument "target" cannot name a sharded or tenant ' +
+    'repository, so name each of its databases instead',
+  argTargetStr: 'Argument "target" must be a non-empty string',
+  argReleaseBool: 'Option "release" must be a boolean',
+  argRetryNested: 'Option "retry" cannot be used with a client that is ' +
+    'already inside a transaction',
+  argThresholdNum: 'Option "threshold" must be a non-negative number',
+  argSlowThresholdNum: 'Option "slowThreshold" must be a non-negative number',
+  checkedOut: 'Client checked out',
+  connectorEnding: 'Connector has been ended and cannot hand out clients',
+  dbInUse: 'Database is still mapped to repositories',
+  missingDatabase: 'No database found with the name ',
+  missingPgClient: 'The "pg" library given to the Connector must include a ' +
+    'constructor for Client to listen for notifications',
+  missingTarget: 'No repository or database found with the name ',
+  forcedRelease: 'Client was forcibly released while ending the Connector',
+  leakedRelease: 'Client was forcibly released after being held too long',
+  queryMaybeOne: 'Expected no more than one row, but received ',
+  queryOne: 'Expected exactly one row, but received ',
+  sandboxActive: 'Connector already has a sandbox, which must be ended ' +
+    'before starting another',
   sharedInvalid: 'Shared must be set to null or an instance of Connector',
 };
 
 
+const events = new Set([
+  'circuit',
+  'config',
+  'done',
+  'end',
+  'error',
+  'leak',
+  'listen',
+  'migrate',
+  'query',
+  'queryError',
+  'reload',
+  'remove',
+  'retry',
+  'route',
+  'slowQuery',
+  'warning',
+]);
+
+
+// Sends a notification.  Unlike NOTIFY, pg_notify() takes the channel and
+// payload as parameters.
+//
+const notifyQuery = 'SELECT pg_notify($1, $2)';
+
+
+// How often watched files are polled, and how long to wait after a change
+// before reloading, by default.
+//
+const defaultWatchInterval = 1000;
+const defaultWatchDebounce = 100;
+
+
+// How long a client may be held before detectLeaks() reports it by default.
+//
+const defaultLeakThreshold = 30000;
+
+
+// How long a query takes before a "slowQuery" event is emitted by default.
+//
+const defaultSlowQueryThreshold = 1000;
+
+
+// How long healthCheck() waits for each database by default.
+//
+const defaultHealthTimeout = 5000;
+
+
+// How long a replica that failed to connect is skipped by default.
+//
+const defaultReplicaCooldown = 30000;
+
+
 /**
  * A callback function given to and executed by the connect() method.
  * @typedef {Function} ConnectCallback
@@ -65,43 +187,236 @@ function assertCallback(callback) {
 }
 
 
-function validateDatabaseConf(key, dbConf) {
-  if (!elv(dbConf) || !isPojo(dbConf)) {
-    return new ConfigurationError(msg.dbConfPojo, {
-      key,
-      value: dbConf,
-    });
+function assertTimeout(timeout) {
+  if (elv(timeout) && (typeof timeout !== 'number' || !(timeout >= 0))) {
+    throw new TypeError(msg.argTimeoutNum);
   }
+}
 
-  if (!isNonEmptyString(dbConf.host)) {
-    return new ConfigurationError(msg.dbConfHostStr, {
-      key,
-      value: dbConf,
-    });
+
+function assertTenant(repo, options) {
+  const tenant = (elv(options)) ? options.tenant : undefined;
+
+  if (elv(repo.tenants) && !isNonEmptyString(tenant)) {
+    throw new TypeError(msg.argTenantStr);
+  }
+
+  if (!elv(repo.tenants) && elv(tenant)) {
+    throw new TypeError(msg.argTenantUnused);
+  }
+}
+
+
+function assertShardKey(repo, options) {
+  const shardKey = (elv(options)) ? options.shardKey : undefined;
+
+  if (elv(repo.shards) && !sharding.isShardKey(shardKey)) {
+    throw new TypeError(msg.argShardKey);
+  }
+
+  if (!elv(repo.shards) && elv(shardKey)) {
+    throw new TypeError(msg.argShardKeyUnused);
+  }
+}
+
+
+function queryArgs(argCount, textOrConfig, params, options, callback) {
+  let values = params;
+  let opts = options;
+  let cbfn = callback;
+
+  if (argCount === 3 && typeof params === 'function') {
+    values = undefined;
+    opts = undefined;
+    cbfn = params;
+  } else if (argCount === 4 && typeof options === 'function') {
+    opts = undefined;
+    cbfn = options;
+  }
+
+  const isText = isNonEmptyString(textOrConfig);
+  const isConfig = elv(textOrConfig)
+                   && isPojo(textOrConfig)
+                   && isNonEmptyString(textOrConfig.text);
+
+  if (!isText && !isConfig) throw new TypeError(msg.argQueryText);
+  if (elv(values) && !Array.isArray(values)) {
+    throw new TypeError(msg.argParamsArray);
+  }
+  if (elv(opts) && !isPojo(opts)) throw new TypeError(msg.argOptionsPojo);
+  assertCallback(cbfn);
+
+  return { values, options: opts, cbfn };
+}
+
+
+// Errors without a SQLSTATE come from the socket or the driver itself, and
+// class 08 and 57P0x errors mean the server dropped or refused the
+// connection.  A client that saw one of these should not go back in the pool.
+//
+function isConnectionError(err) {
+  const code = (elv(err)) ? err.code : undefined;
+
+  if (typeof code !== 'string' || !/^[0-9A-Z]{5}$/.test(code)) return true;
+
+  return code.startsWith('08') || code.startsWith('57P0');
+}
+
+
+// Unlike isConnectionError(), only says an error came from the connection if
+// it carries a connection SQLSTATE or socket error code, or says the
+// connection was terminated, so that errors thrown by the caller's own code
+// are not taken for one.
+//
+function isBrokenConnection(err) {
+  if (!elv(err)) return false;
+
+  const code = err.code;
+
+  if (typeof code === 'string' && /^(08|57P0|E[A-Z]+$)/.test(code)) {
+    return true;
   }
 
-  return null;
+  return typeof err.message === 'string'
+         && err.message.indexOf('Connection terminated') > -1;
 }
 
 
-function validateConf(conf) {
-  if (!elv(conf.databases)) {
-    return new ConfigurationError(msg.noDatabases, conf);
+// A pool whose clients are all checked out fails a checkout with this message
+// once connectionTimeoutMillis passes, which says the database is busy, not
+// that it cannot be reached.
+//
+function isUnreachable(err) {
+  if (elv(err) && err.message === 'timeout exceeded when trying to connect') {
+    return false;
   }
 
-  if (!isPojo(conf.databases)) {
-    return new ConfigurationError(msg.databasesPojo, conf);
+  return isConnectionError(err);
+}
+
+
+// Gets the text and parameters of a query from the arguments given to a
+// client's query() method, which may start with a config object or a
+// submittable, such as a cursor, instead of the text.
+//
+function describeQuery(args) {
+  const first = args[0];
+
+  if (elv(first) && typeof first === 'object') {
+    return {
+      text: (typeof first.text === 'string') ? first.text : null,
+      values: (Array.isArray(first.values)) ? first.values : [],
+    };
   }
 
-  if (!elv(conf.repositories)) {
-    return new ConfigurationError(msg.noRepositories, conf);
+  return {
+    text: (typeof first === 'string') ? first : null,
+    values: (Array.isArray(args[1])) ? args[1] : [],
+  };
+}
+
+
+// Multiple statements in one query resolve to an array of results.
+//
+function rowCountOf(result) {
+  const results = (Array.isArray(result)) ? result : [result];
+  let total = null;
+
+  results.forEach((res) => {
+    if (elv(res) && typeof res.rowCount === 'number') {
+      total = elv.coalesce(total, 0) + res.rowCount;
+    }
+  });
+
+  return total;
+}
+
+
+function stripConnectorKeys(dbConf) {
+  const poolConf = Object.assign({}, dbConf);
+
+  schema.databaseKeys.forEach((key) => {
+    delete poolConf[key];
+  });
+
+  return poolConf;
+}
+
+
+// Serializes a value with sorted object keys, so that two configurations can
+// be compared regardless of the order in which their keys were merged.
+//
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
   }
 
-  if (!isPojo(conf.repositories)) {
-    return new ConfigurationError(msg.reposPojo, conf);
+  if (elv(value) && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).sort();
+    const pairs = keys.map(key =>
+      `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${pairs.join(',')}}`;
   }
 
-  return null;
+  return String(JSON.stringify(value));
+}
+
+
+function poolLoad(pool) {
+  const total = elv.coalesce(pool.totalCount, 0);
+  const idle = elv.coalesce(pool.idleCount, 0);
+  const waiting = elv.coalesce(pool.waitingCount, 0);
+  return (total - idle) + waiting;
+}
+
+
+/**
+ * Gets the name of the database a repository is mapped to.  Repositories are
+ * configured either as a database name, or as an object with a "database"
+ * key.  Sharded repositories have none.
+ */
+function repoDatabase(repoConf) {
+  if (typeof repoConf === 'string') return repoConf;
+  return (elv(repoConf.database)) ? repoConf.database : null;
+}
+
+
+/**
+ * Gets the names of every database a repository uses.
+ */
+function repoDatabases(repo) {
+  return (elv(repo.shards)) ? repo.shards.databases : [repo.databaseName];
+}
+
+
+/**
+ * Gets the pool whose client a sandbox pins for a route.  Tenants have pools
+ * of their own, and everything else uses its database's primary.
+ */
+function sandboxKey(route) {
+  return (elv(route.tenant)) ? route.pool : route.db.pool;
+}
+
+
+/**
+ * Picks the options that route a lock to its pool.  Locks are always taken on
+ * a primary.
+ */
+function lockRoute(options) {
+  return { shardKey: options.shardKey, tenant: options.tenant };
+}
+
+
+/**
+ * Gets whether two configurations of a repository use the same tenants.
+ * Resolver functions cannot be serialized, so they are compared by identity.
+ */
+function sameTenants(current, next) {
+  if (stableStringify(current) !== stableStringify(next)) return false;
+  if (typeof current !== 'object' || typeof next !== 'object') return true;
+
+  return typeof next.tenants !== 'function'
+         || current.tenants === next.tenants;
 }
 
 
@@ -128,6 +443,25 @@ class Connector {
     this.databases = new Map();
     this.repositories = new Map();
     this._emitter = new EventEmitter();
+    this._checkedOut = new Map();
+    this._counters = {
+      databases: new Map(),
+      repositories: new Map(),
+    };
+    this._draining = new Set();
+    this._watchers = new Set();
+    this._leaks = null;
+    this._queryLog = {
+      slowThreshold: defaultSlowQueryThreshold,
+      includeParams: false,
+    };
+    this._resolvers = new Map();
+    this._plugins = [];
+    this._sandbox = null;
+    this._listeners = new Map();
+    this._leaderships = new Set();
+    this._ending = false;
+    this._endPromise = null;
   }
 
 
@@ -146,220 +480,2124 @@ class Connector {
 
 
   /**
+   * Applies fn to the counters of the repository, and of the database it is
+   * mapped to.
+   *
+   * @private
+   */
+  _count(repository, database, fn) {
+    const pairs = [
+      [this._counters.repositories, repository],
+      [this._counters.databases, database],
+    ];
+
+    for (let i = 0; i < pairs.length; i++) {
+      const map = pairs[i][0];
+      const name = pairs[i][1];
+
+      if (!map.has(name)) map.set(name, stats.createCounters());
+      fn(map.get(name));
+    }
+  }
+
+
+  /**
+   * Emits an error raised in the background, where nobody is waiting on it.
+   * An EventEmitter throws errors that no listener is attached for, which
+   * would turn them into unhandled rejections, so those are dropped.
+   *
    * @private
    */
-  _fillDatabasesMap(databases) {
-    const keys = Object.keys(databases);
+  _emitError(err) {
+    if (this._emitter.listenerCount('error') > 0) {
+      this._emitter.emit('error', err);
+    }
+  }
 
-    if (keys.length === 0) return new ConfigurationError(msg.noDatabases);
 
-    for (let i = 0; i < keys.length; i++) {
-      const key = keys[i];
-      const dbConf = databases[key];
+  /**
+   * Wraps the client's query() method so the time each query takes is
+   * counted against the repository that checked the client out, and emitted
+   * as query events.
+   *
+   * @private
+   */
+  _instrument(record) {
+    const self = this;
+    const client = record.client;
+    const query = client.query;
 
-      const databaseErr = validateDatabaseConf(key, dbConf);
-      if (elv(databaseErr)) return databaseErr;
+    if (typeof query !== 'function') return;
 
-      const pool = new this._pg.Pool(dbConf);
+    record.query = query;
+    record.ownQuery = Object.prototype.hasOwnProperty.call(client, 'query');
 
-      this.databases.set(key, {
-        name: key,
-        pool,
+    const finish = (described, started, err, result) => {
+      const duration = Date.now() - started;
+
+      self._count(record.repository, record.database, (counters) => {
+        counters.queries++;
+        if (elv(err)) counters.queryErrors++;
+        stats.observe(counters.queryTime, duration);
       });
-    }
 
-    return null;
+      self._logQuery(record, described, duration, err, result);
+    };
+
+    client.query = function instrumentedQuery(...args) {
+      const described = describeQuery(args);
+      const started = Date.now();
+      const last = args[args.length - 1];
+
+      if (typeof last === 'function') {
+        args[args.length - 1] = (err, result) => {
+          finish(described, started, err, result);
+          last(err, result);
+        };
+
+        return query.apply(client, args);
+      }
+
+      const result = query.apply(client, args);
+
+      if (elv(result) && typeof result.then === 'function') {
+        result.then(res => finish(described, started, null, res),
+          err => finish(described, started, err));
+      } else if (elv(result) && typeof result.once === 'function') {
+        result.once('end', res => finish(described, started, null, res));
+        result.once('error', err => finish(described, started, err));
+      }
+
+      return result;
+    };
   }
 
 
   /**
+   * Emits the "query" or "queryError" event for a finished query, and the
+   * "slowQuery" event if it took at least the slow threshold.  Parameters
+   * are redacted unless logQueries() was told to include them.
+   *
    * @private
    */
-  _validateRepoConf(key, repoConf) {
-    if (!isNonEmptyString(repoConf)) {
-      return new ConfigurationError(msg.repoConfStr, key);
+  _logQuery(record, described, duration, err, result) {
+    const emitter = this._emitter;
+    const settings = this._queryLog;
+    const eventName = (elv(err)) ? 'queryError' : 'query';
+    const slow = duration >= settings.slowThreshold;
+
+    if (emitter.listenerCount(eventName) === 0
+        && (!slow || emitter.listenerCount('slowQuery') === 0)) {
+      return;
     }
 
-    if (!this.databases.has(repoConf)) {
-      return new ConfigurationError(msg.repoConfMapping, {
-        key,
-        value: repoConf,
-      });
-    }
+    const values = described.values;
+    const info = {
+      repository: record.repository,
+      database: record.database,
+      text: described.text,
+      paramCount: values.length,
+      params: (settings.includeParams)
+        ? values.slice()
+        : values.map(() => secrets.redacted),
+      duration,
+      rowCount: (elv(err)) ? null : rowCountOf(result),
+      error: (elv(err)) ? err : null,
+    };
 
-    return null;
+    emitter.emit(eventName, info);
+    if (slow) emitter.emit('slowQuery', info);
   }
 
 
   /**
    * @private
    */
-  _fillReposMap(repositories) {
-    const keys = Object.keys(repositories);
+  _track(repo, database, pool, client, done, stack) {
+    const self = this;
+    const record = {
+      client,
+      done,
+      pool,
+      repository: repo.name,
+      database,
+      acquiredAt: Date.now(),
+      stack: (elv(stack)) ? stack : null,
+      leakTimer: null,
+      reset: elv(repo.session),
+      forced: false,
+    };
 
-    if (keys.length === 0) return new ConfigurationError(msg.noRepositories);
+    this._checkedOut.set(client, record);
+    this._count(record.repository, record.database, (counters) => {
+      counters.active++;
+    });
+    this._instrument(record);
+    if (elv(this._leaks)) this._watchLeak(record, this._leaks);
 
-    for (let i = 0; i < keys.length; i++) {
-      const key = keys[i];
-      const repoConf = repositories[key];
+    // The wrapper replaces pg's own release() so that any code path that
+    // gives the client back is seen by the Connector.
+    //
+    const release = (err) => {
+      if (record.forced) return undefined;
+      self._untrack(record);
 
-      const repoErr = this._validateRepoConf(key, repoConf);
-      if (elv(repoErr)) return repoErr;
+      if (!record.reset || elv(err)) return done(err);
 
-      this.repositories.set(key, {
-        name: key,
-        pool: this.databases.get(repoConf).pool,
-        databaseName: repoConf,
-      });
-    }
+      // Session settings are undone before the client goes back into a pool
+      // that other repositories share.  A client that cannot be reset is
+      // destroyed instead.
+      //
+      Promise.try(() => client.query(session.resetStatement))
+        .then(() => done(), resetErr => done(resetErr));
 
-    return null;
+      return undefined;
+    };
+
+    client.release = release;
+    return release;
   }
 
 
   /**
    * @private
    */
-  _fill(conf) {
-    const validateErr = validateConf(conf);
-    if (elv(validateErr)) return validateErr;
-
-    const databasesErr = this._fillDatabasesMap(conf.databases);
-    if (elv(databasesErr)) return databasesErr;
+  _untrack(record) {
+    if (record.leakTimer !== null) clearTimeout(record.leakTimer);
+    this._checkedOut.delete(record.client);
+    this._count(record.repository, record.database, (counters) => {
+      counters.active--;
+    });
 
-    const reposErr = this._fillReposMap(conf.repositories);
-    return reposErr;
+    if (elv(record.query)) {
+      if (record.ownQuery) record.client.query = record.query;
+      else delete record.client.query;
+    }
   }
 
 
   /**
-   * The internal errors module.  This provides clients with references to the
-   * custom error types thrown by Connector.
+   * Reports the client as leaked if it is still checked out once the
+   * threshold has passed, and optionally takes it back.
    *
-   * @return {errors}
+   * @private
    */
-  static get errors() { return errors; }
+  _watchLeak(record, settings) {
+    const self = this;
 
+    record.leakTimer = setTimeout(() => {
+      record.leakTimer = null;
 
-  /**
-   * Gets or sets an instance of Connector to share across an application's
-   * modules.
-   *
-   * @return {Connector|null}
-   */
-  static get shared() { return shared; }
-  static set shared(val) {
-    if (val instanceof Connector || val === null) shared = val;
-    else throw new TypeError(msg.sharedInvalid);
+      if (settings.release) {
+        record.forced = true;
+        self._untrack(record);
+        record.done(new Error(msg.leakedRelease));
+      }
+
+      self._emitter.emit('leak', {
+        repository: record.repository,
+        database: record.database,
+        age: Date.now() - record.acquiredAt,
+        stack: record.stack,
+        released: settings.release,
+      });
+    }, settings.threshold);
+
+    // A leaked client should not keep the process alive on its own.
+    //
+    if (typeof record.leakTimer.unref === 'function') record.leakTimer.unref();
   }
 
 
   /**
-   * Adds additional repository mappings and database configurations to the
-   * Connector instance.
-   *
-   * @param {Object} ...confData
+   * @private
    */
-  add(...args) {
-    if (args.length === 0) return this;
+  _forceRelease(pool) {
+    const records = [];
 
-    const configurator = new Kibbutz();
-    let vals = [];
+    this._checkedOut.forEach((record) => {
+      if (record.pool === pool) records.push(record);
+    });
 
-    for (let i = 0; i < args.length; i++) {
-      const val = args[i];
-      if (Array.isArray(val)) vals = vals.concat(val);
-      else vals.push(val);
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      record.forced = true;
+      this._untrack(record);
+      record.done(new Error(msg.forcedRelease));
     }
-
-    configurator.append(vals);
-    const fillErr = this._fill(configurator.value);
-
-    if (elv(fillErr)) throw fillErr;
-
-    return this;
   }
 
 
   /**
-   * Checks a Client out of the connection pool to which the given repository
-   * name is mapped.
-   *
-   * @param {String} repository The name of the repository to which who's mapped
-   * Pool you are connecting.
-   * @param {ConnectCallback} [callback]
-   *
-   * @returns {Promise}
+   * @private
    */
-  connect(repository, callback) {
-    // Note: we're throwing a hard error here, instead of returning
-    // Promise.reject(), because this represents a problem with the client code
-    // itself.  The app should cease running.
-    //
-    this._assertRepo(repository);
-    assertCallback(callback);
-
-    const repo = this.repositories.get(repository);
-    const cbfn = callback;
+  _endPool(pool, timeout) {
     const self = this;
 
-    const promiseFn = (resolve, reject) => {
-      const resolveCallback = resolve;
-      const rejectCallback = reject;
+    return new Promise((resolve, reject) => {
+      let finished = false;
+      let forced = false;
+      let timer = null;
+
+      const finish = (err) => {
+        if (finished) return;
+        finished = true;
+        if (timer !== null) clearTimeout(timer);
+
+        if (elv(err)) reject(err);
+        else resolve(forced);
+      };
+
+      if (elv(timeout)) {
+        timer = setTimeout(() => {
+          forced = true;
+          self._forceRelease(pool);
+          finish();
+        }, timeout);
+      }
 
       try {
-        repo.pool.connect((err, client, done) => {
-          if (elv(err)) {
-            if (elv(cbfn)) cbfn(err);
-            rejectCallback(err);
-            return;
-          }
-
-          if (elv(cbfn)) cbfn(null, client, done);
-          resolveCallback(client);
-        });
+        pool.end(finish);
       } catch (e) {
-        // If we reached this point, something horrible has happened.  Likely
-        // an internal driver error.
-        //
-        self._emitter.emit('error', e);
+        finish(e);
       }
-    };
-
-    // Note: pg's Pool.prototype.connect() method returns a native Promise, and
-    // provides no method to inject a different library.  We're wrapping that
-    // functionality here to ensure a Bluebird Promise is returned.  Eventually,
-    // we should find a way to ensure that all of pg's methods return Bluebird
-    // Promises.  For now, this serves as the beginning of that effort.
-    //
-    return new Promise(promiseFn);
+    });
   }
 
 
   /**
-   * Gets the pool to which the repository name is mapped.
-   *
-   * @param {String} repository The name of the repository to which who's mapped
-   * Pool you are looking up.
+   * @private
    */
-  getPool(repository) {
-    this._assertRepo(repository);
-    const repo = this.repositories.get(repository);
-    return repo.pool;
+  _endDatabase(db, timeout) {
+    const pools = [db.pool].concat(db.replicas.map(replica => replica.pool));
+
+    return Promise.map(pools, pool => this._endPool(pool, timeout))
+      .then((results) => {
+        const forced = results.indexOf(true) > -1;
+        this._emitter.emit('end', { database: db.name, forced });
+      });
   }
 
 
   /**
-   * Loads information used to configure pg connection pools, and the
-   * repositories that use them.
-   *
-   * @param {Array} providers An list of Kibbutz-styled configuration providers.
-   * @param {Object} [value] A base configure object.
-   * @param {Function} [callback] A function invoked after load() completes.
-   *
-   * @return {Promise}
+   * @private
+   */
+  _pickReplica(db) {
+    const now = Date.now();
+    const available = db.replicas.filter(replica => replica.failedUntil <= now);
+
+    if (available.length === 0) return null;
+
+    if (db.balance === 'least-busy') {
+      let best = available[0];
+
+      for (let i = 1; i < available.length; i++) {
+        if (poolLoad(available[i].pool) < poolLoad(best.pool)) {
+          best = available[i];
+        }
+      }
+
+      return best;
+    }
+
+    const replica = available[db.nextReplica % available.length];
+    db.nextReplica = (db.nextReplica + 1) % available.length;
+    return replica;
+  }
+
+
+  /**
+   * Picks the pool a request for the repository should use, and emits the
+   * choice so routing can be audited.
+   *
+   * @private
+   */
+  _route(repo, options, database) {
+    const db = (elv(database)) ? database : this._database(repo, options);
+    const readOnly = elv(options) && options.readOnly === true;
+
+    // Tenant pools have no replicas, so read-only requests use them too.
+    //
+    if (elv(repo.tenants)) {
+      const pool = this._tenantPool(repo, options.tenant);
+      const tenantTarget = {
+        repository: repo.name,
+        database: db.name,
+        target: 'tenant',
+        replica: null,
+        tenant: options.tenant,
+        readOnly,
+        fallback: false,
+      };
+
+      this._emitter.emit('route', tenantTarget);
+
+      return {
+        info: tenantTarget,
+        db,
+        pool,
+        replica: null,
+        tenant: options.tenant,
+      };
+    }
+
+    const replica = (readOnly) ? this._pickReplica(db) : null;
+
+    const target = {
+      repository: repo.name,
+      database: db.name,
+      target: (elv(replica)) ? 'replica' : 'primary',
+      replica: (elv(replica)) ? replica.index : null,
+      tenant: null,
+      readOnly,
+      fallback: readOnly && db.replicas.length > 0 && !elv(replica),
+    };
+
+    this._emitter.emit('route', target);
+
+    return {
+      info: target,
+      db,
+      pool: (elv(replica)) ? replica.pool : db.pool,
+      replica,
+      tenant: null,
+    };
+  }
+
+
+  /**
+   * Gets the database a request for the repository goes to.  For sharded
+   * repositories, this is the shard its key belongs to.
+   *
+   * @private
+   */
+  _database(repo, options) {
+    if (!elv(repo.shards)) return this.databases.get(repo.databaseName);
+
+    const index = sharding.pick(repo.shards, options.shardKey);
+    return this.databases.get(repo.shards.databases[index]);
+  }
+
+
+  /**
+   * Gets the pool of a tenant, creating it on first use.  The tenant's entry
+   * is merged over the options of the repository's database.
+   *
+   * @private
+   */
+  _tenantPool(repo, tenant) {
+    if (this._ending) throw new Error(msg.connectorEnding);
+
+    const cached = repo.tenants.get(tenant);
+    if (elv(cached)) return cached;
+
+    const entry = repo.tenants.entry(tenant);
+    if (!elv(entry)) throw new UnknownTenantError(repo.name, tenant);
+
+    const path = `repositories.${repo.name}.tenants.${tenant}`;
+    const hasResolver = name => this._resolvers.has(name);
+
+    // Tenant maps were checked along with the rest of the configuration, but
+    // a resolver's entries are only seen now.
+    //
+    if (typeof repo.tenants.tenants === 'function') {
+      const validateErr = this._checked(
+        schema.validateTenant(entry, path, hasResolver)
+      );
+      if (elv(validateErr)) throw validateErr;
+    }
+
+    let tenantConf;
+
+    try {
+      tenantConf = connection.expand(
+        secrets.resolveEntry(entry, this._resolvers)
+      );
+    } catch (err) {
+      if (err instanceof ConfigurationError) throw err;
+      throw schema.toError([{
+        path,
+        message: err.message,
+        value: secrets.redactEntry(entry),
+      }]);
+    }
+
+    const db = this.databases.get(repo.databaseName);
+    const pool = new this._pg.Pool(Object.assign({}, db.poolConf, tenantConf));
+
+    repo.tenants.add(tenant, pool);
+    return pool;
+  }
+
+
+  /**
+   * @private
+   */
+  _query(repository, textOrConfig, args, mapResult) {
+    return this.connect(repository, args.options)
+      .then(client => Promise.try(() => client.query(textOrConfig, args.values))
+        .then((result) => {
+          client.release();
+          return mapResult(result);
+        }, (err) => {
+          client.release((isConnectionError(err)) ? err : undefined);
+          throw err;
+        }))
+      .asCallback(args.cbfn);
+  }
+
+
+  /**
+   * Checks a client out, trying again according to the retry policy given in
+   * options, or configured on the repository or its database.  The database is
+   * picked by _database(), unless one is given.
+   *
+   * @private
+   */
+  _connect(repo, options, database) {
+    const self = this;
+    const db = (elv(database)) ? database : this._database(repo, options);
+    let policy = (elv(repo.retry)) ? repo.retry : db.retry;
+
+    if (elv(options) && elv(options.retry)) {
+      policy = retry.normalize(options.retry);
+    }
+
+    if (elv(policy)) {
+      const retryable = policy.retryable;
+      policy = Object.assign({}, policy, {
+        retryable: err => !self._ending && retryable(err),
+      });
+    }
+
+    // The stack has to be captured now, while the caller is still on it.
+    //
+    let stack = null;
+    if (elv(this._leaks)) {
+      const checkedOut = new Error(msg.checkedOut);
+      Error.captureStackTrace(checkedOut, Connector.prototype._connect);
+      stack = checkedOut.stack;
+    }
+
+    const checkout = () => retry.run(
+      () => this._checkout(repo, this._route(repo, options, db), stack),
+      policy,
+      (err, attempt, delay) => {
+        self._emitter.emit('retry', {
+          repository: repo.name,
+          database: db.name,
+          attempt,
+          delay,
+          error: err,
+        });
+      });
+
+    const using = this._pluginsFor(repo.name);
+    if (using.length === 0) return checkout();
+
+    // One context is shared by every hook of a checkout, so plugins can keep
+    // what they need in its state.
+    //
+    const context = {
+      repository: repo.name,
+      database: db.name,
+      options: Object.assign({}, options),
+      client: null,
+      state: {},
+    };
+
+    return plugins.run(using, 'beforeConnect', context)
+      .then(checkout)
+      .then((acquired) => {
+        context.client = acquired.client;
+        const hooked = this._hookClient(using, context, acquired);
+
+        return plugins.run(using, 'afterConnect', context)
+          .then(() => hooked, (err) => {
+            acquired.release(err);
+            throw err;
+          });
+      })
+      .catch(err => plugins.fail(using, Object.assign({}, context, {
+        error: err,
+        phase: 'connect',
+      })));
+  }
+
+
+  /**
+   * Gets the plugins that apply to a repository, in the order they were
+   * registered.
+   *
+   * @private
+   */
+  _pluginsFor(repository) {
+    return this._plugins
+      .filter(entry => !elv(entry.repositories)
+                       || entry.repositories.has(repository))
+      .map(entry => entry.plugin);
+  }
+
+
+  /**
+   * Runs the query and release hooks of plugins around a checked-out client.
+   * The client's query() method is restored when it is untracked, like the
+   * instrumentation beneath it.  A client whose beforeRelease hook fails is
+   * destroyed.  Releasing stays synchronous without beforeRelease hooks.
+   *
+   * @private
+   */
+  _hookClient(using, context, acquired) {
+    const client = acquired.client;
+    const release = acquired.release;
+    const has = hook => using.some(plugin => elv(plugin[hook]));
+    let releasing = false;
+
+    if (has('beforeQuery') || has('afterQuery') || has('onError')) {
+      client.query = plugins.wrapQuery(client.query, client, using, context);
+    }
+
+    if (!has('beforeRelease')) return acquired;
+
+    const hookedRelease = (err) => {
+      if (releasing) return undefined;
+      releasing = true;
+
+      plugins.run(using, 'beforeRelease', Object.assign({}, context, {
+        error: (elv(err)) ? err : null,
+      }))
+        .then(() => release(err), hookErr => release(hookErr));
+
+      return undefined;
+    };
+
+    client.release = hookedRelease;
+    return { client, release: hookedRelease };
+  }
+
+
+  /**
+   * Checks a client out of a pool directly, for work that does not belong to
+   * any repository, or that outlives leak detection.  The client is not
+   * tracked.
+   *
+   * @private
+   */
+  _checkoutDirect(pool) {
+    return new Promise((resolve, reject) => {
+      if (this._ending) {
+        reject(new Error(msg.connectorEnding));
+        return;
+      }
+
+      pool.connect((err, client, done) => {
+        if (elv(err)) reject(err);
+        else resolve({ client, release: done });
+      });
+    });
+  }
+
+
+  /**
+   * @private
+   */
+  _acquire(repo, route) {
+    const self = this;
+
+    // While sandboxed, every client is a stand-in for the one pinned for the
+    // database's primary, so that reads see the sandbox's own writes.
+    //
+    if (elv(self._sandbox) && !self._ending) {
+      const pool = sandboxKey(route);
+
+      return self._sandbox.acquire(pool)
+        .then(acquired => ({
+          client: acquired.client,
+          done: acquired.done,
+          pool,
+          database: route.db.name,
+        }));
+    }
+
+    return new Promise((resolve, reject) => {
+      if (self._ending) {
+        reject(new Error(msg.connectorEnding));
+        return;
+      }
+
+      // Only the primary is guarded by the circuit breaker.  Replicas have
+      // their own cooldown, and tenants their own databases.
+      //
+      const db = route.db;
+      const circuit = (elv(route.replica) || elv(route.tenant))
+        ? null
+        : db.breaker;
+
+      if (elv(circuit) && !circuit.allow()) {
+        reject(new CircuitOpenError(db.name, circuit.retryAt));
+        return;
+      }
+
+      const started = Date.now();
+      const count = fn => self._count(repo.name, db.name, fn);
+
+      count((counters) => {
+        counters.waiting++;
+      });
+
+      try {
+        route.pool.connect((err, client, done) => {
+          count((counters) => {
+            counters.waiting--;
+
+            if (elv(err)) {
+              counters.errors++;
+            } else {
+              counters.acquisitions++;
+              stats.observe(counters.acquireTime, Date.now() - started);
+            }
+          });
+
+          if (elv(circuit)) {
+            if (!elv(err)) circuit.success();
+            else if (isUnreachable(err)) circuit.failure();
+            else circuit.skip();
+          }
+
+          if (elv(err)) {
+            reject(err);
+            return;
+          }
+
+          resolve({
+            client,
+            done,
+            pool: route.pool,
+            database: db.name,
+          });
+        });
+      } catch (e) {
+        // If we reached this point, something horrible has happened.  Likely
+        // an internal driver error.  It still counts as a failure, or a
+        // half-open circuit would wait on this probe forever.
+        //
+        if (elv(circuit)) circuit.failure();
+        self._emitter.emit('error', e);
+      }
+    })
+      .catch((err) => {
+        if (!elv(route.replica) || self._ending) throw err;
+
+        // A replica that cannot hand out clients is skipped for a while, and
+        // the request moves on to the next replica, or falls back to the
+        // primary once none are left.
+        //
+        route.replica.failedUntil = Date.now() + route.db.replicaCooldown;
+
+        return self._acquire(
+          repo,
+          self._route(repo, { readOnly: true }, route.db)
+        );
+      });
+  }
+
+
+  /**
+   * Gets the listener of a database, which opens its own connection rather
+   * than using the pool's.  Reconnecting picks up changes to the database's
+   * configuration.
+   *
+   * @private
+   */
+  _listenerFor(database) {
+    if (!this._listeners.has(database)) {
+      const db = this.databases.get(database);
+      const policy = (elv(db.retry)) ? db.retry : retry.normalize({});
+
+      this._listeners.set(database, new notifications.Listener(
+        () => new this._pg.Client(this.databases.get(database).poolConf),
+        policy,
+        (info) => {
+          this._emitter.emit('listen', Object.assign({ database }, info));
+        }
+      ));
+    }
+
+    return this._listeners.get(database);
+  }
+
+
+  /**
+   * Ends the pools of a database that is no longer configured.  end() waits
+   * for these too.
+   *
+   * @private
+   */
+  _retire(db, timeout) {
+    const listener = this._listeners.get(db.name);
+
+    if (elv(listener) && !this.databases.has(db.name)) {
+      this._listeners.delete(db.name);
+      this._drain(listener.close());
+    }
+
+    return this._drain(this._endDatabase(db, timeout));
+  }
+
+
+  /**
+   * Ends the pools a tenant repository opened, once their clients are
+   * released.  end() waits for these too.
+   *
+   * @private
+   */
+  _retireTenants(tenantPools) {
+    tenantPools.clear().forEach((pool) => {
+      this._retireTenantPool(pool);
+    });
+  }
+
+
+  /**
+   * @private
+   */
+  _retireTenantPool(pool) {
+    this._drain(this._endPool(pool)).catch(err => this._emitError(err));
+  }
+
+
+  /**
+   * Keeps track of a pool that is ending, so end() can wait for it.
+   *
+   * @private
+   */
+  _drain(ending) {
+    const draining = ending
+      .catch(() => {})
+      .finally(() => {
+        this._draining.delete(draining);
+      });
+
+    this._draining.add(draining);
+    return ending;
+  }
+
+
+  /**
+   * @private
+   */
+  _createDatabase(key, entry, dbConf) {
+    const poolConf = stripConnectorKeys(dbConf);
+    const pool = new this._pg.Pool(poolConf);
+    const replicaConfs = elv.coalesce(dbConf.replicas, []);
+
+    return {
+      name: key,
+      conf: entry,
+      pool,
+      poolConf,
+      replicas: replicaConfs.map((replicaConf, index) => ({
+        index,
+        pool: new this._pg.Pool(Object.assign({}, poolConf, replicaConf)),
+        failedUntil: 0,
+      })),
+      balance: elv.coalesce(dbConf.balance, 'round-robin'),
+      replicaCooldown: elv.coalesce(
+        dbConf.replicaCooldownMillis,
+        defaultReplicaCooldown
+      ),
+      nextReplica: 0,
+      retry: (elv(dbConf.retry)) ? retry.normalize(dbConf.retry) : null,
+      breaker: (elv(dbConf.circuitBreaker))
+        ? new breaker.CircuitBreaker(dbConf.circuitBreaker, (state, prev) => {
+          this._emitter.emit('circuit', {
+            database: key,
+            state,
+            previous: prev,
+          });
+        })
+        : null,
+    };
+  }
+
+
+  /**
+   * Turns database entries into pg Pool options, resolving their secret
+   * references and connection strings, before any pool is created.
+   *
+   * @private
+   */
+  _resolveDatabases(entries) {
+    const resolved = new Map();
+    const problems = [];
+
+    Object.keys(entries).forEach((key) => {
+      const entry = entries[key];
+
+      try {
+        const dbConf = connection.expand(
+          secrets.resolveEntry(entry, this._resolvers)
+        );
+
+        resolved.set(key, (elv(dbConf.replicas))
+          ? Object.assign({}, dbConf, {
+            replicas: dbConf.replicas.map(connection.expand),
+          })
+          : dbConf);
+      } catch (err) {
+        problems.push({
+          path: `databases.${key}`,
+          message: err.message,
+          value: secrets.redactEntry(entry),
+        });
+      }
+    });
+
+    return { resolved, problems };
+  }
+
+
+  /**
+   * @private
+   */
+  _createRepository(key, repoConf, databases) {
+    const databaseName = repoDatabase(repoConf);
+
+    return {
+      name: key,
+      conf: repoConf,
+      pool: (elv(databaseName)) ? databases.get(databaseName).pool : null,
+      databaseName,
+      retry: (typeof repoConf === 'object' && elv(repoConf.retry))
+        ? retry.normalize(repoConf.retry)
+        : null,
+      shards: (typeof repoConf === 'object' && elv(repoConf.shards))
+        ? sharding.create(repoConf)
+        : null,
+      session: (typeof repoConf === 'string')
+        ? null
+        : session.setStatement(repoConf),
+      tenants: (typeof repoConf === 'string' || !elv(repoConf.tenants))
+        ? null
+        : new tenants.TenantPools(
+          repoConf.tenants,
+          repoConf.maxTenantPools,
+          (tenant, pool) => this._retireTenantPool(pool)
+        ),
+    };
+  }
+
+
+  /**
+   * Emits a warning event for each warning among the problems found in a
+   * configuration, and describes the rest in a ConfigurationError.
+   *
+   * @private
+   */
+  _checked(problems) {
+    problems.forEach((problem) => {
+      if (problem.warning === true) this._emitter.emit('warning', problem);
+    });
+
+    return schema.toError(problems);
+  }
+
+
+  /**
+   * Replaces the current databases and repositories with those in conf.
+   * Pools are only created for new or changed databases, and pools that are
+   * no longer used are ended once their clients are released.
+   *
+   * @private
+   */
+  _apply(conf) {
+    if (this._ending) throw new Error(msg.connectorEnding);
+
+    const validateErr = this._checked(
+      schema.validate(conf, null, name => this._resolvers.has(name))
+    );
+    if (elv(validateErr)) throw validateErr;
+
+    const changes = {
+      databases: { added: [], changed: [], removed: [] },
+      repositories: { added: [], changed: [], removed: [] },
+    };
+    const databases = new Map();
+    const repositories = new Map();
+    const obsolete = [];
+    const obsoleteTenants = [];
+    const pending = {};
+
+    Object.keys(conf.databases).forEach((key) => {
+      const current = this.databases.get(key);
+
+      if (!elv(current) || stableStringify(current.conf)
+          !== stableStringify(conf.databases[key])) {
+        pending[key] = conf.databases[key];
+      }
+    });
+
+    const resolution = this._resolveDatabases(pending);
+    const resolveErr = schema.toError(resolution.problems);
+    if (elv(resolveErr)) throw resolveErr;
+
+    Object.keys(conf.databases).forEach((key) => {
+      const current = this.databases.get(key);
+
+      if (!resolution.resolved.has(key)) {
+        databases.set(key, current);
+        return;
+      }
+
+      databases.set(key, this._createDatabase(
+        key,
+        conf.databases[key],
+        resolution.resolved.get(key)
+      ));
+
+      if (elv(current)) {
+        changes.databases.changed.push(key);
+        obsolete.push(current);
+      } else {
+        changes.databases.added.push(key);
+      }
+    });
+
+    this.databases.forEach((db, key) => {
+      if (databases.has(key)) return;
+      changes.databases.removed.push(key);
+      obsolete.push(db);
+    });
+
+    Object.keys(conf.repositories).forEach((key) => {
+      const repoConf = conf.repositories[key];
+      const current = this.repositories.get(key);
+
+      const repo = this._createRepository(key, repoConf, databases);
+      repositories.set(key, repo);
+
+      // Open tenant pools are kept while neither the repository nor its
+      // database changed.
+      //
+      if (elv(current) && elv(current.tenants)) {
+        if (elv(repo.tenants) && repo.pool === current.pool
+            && sameTenants(current.conf, repoConf)) {
+          repo.tenants = current.tenants;
+        } else {
+          obsoleteTenants.push(current.tenants);
+        }
+      }
+
+      if (!elv(current)) changes.repositories.added.push(key);
+      else if (stableStringify(current.conf) !== stableStringify(repoConf)) {
+        changes.repositories.changed.push(key);
+      }
+    });
+
+    this.repositories.forEach((repo, key) => {
+      if (repositories.has(key)) return;
+      changes.repositories.removed.push(key);
+      if (elv(repo.tenants)) obsoleteTenants.push(repo.tenants);
+    });
+
+    // Everything below runs synchronously, so no caller can observe a
+    // repository pointing at a pool that is being retired.
+    //
+    this.databases.clear();
+    databases.forEach((db, key) => this.databases.set(key, db));
+    this.repositories.clear();
+    repositories.forEach((repo, key) => this.repositories.set(key, repo));
+
+    obsolete.forEach((db) => {
+      this._retire(db).catch(err => this._emitError(err));
+    });
+    obsoleteTenants.forEach(tenantPools => this._retireTenants(tenantPools));
+    this._emitter.emit('reload', changes);
+
+    return changes;
+  }
+
+
+  /**
+   * @private
+   */
+  _configurator(value) {
+    const options = (elv(value)) ? { value } : undefined;
+    const self = this;
+    const configurator = new Kibbutz(options);
+
+    configurator
+      .on('config', (fragment) => {
+        self._emitter.emit('config', secrets.redact(fragment));
+      });
+
+    return configurator;
+  }
+
+
+  /**
+   * @private
+   */
+  _fill(conf) {
+    const validateErr = this._checked(schema.validate(
+      conf,
+      name => this.databases.has(name),
+      name => this._resolvers.has(name)
+    ));
+    if (elv(validateErr)) return validateErr;
+
+    const resolution = this._resolveDatabases(conf.databases);
+    if (resolution.problems.length > 0) {
+      return schema.toError(resolution.problems);
+    }
+
+    resolution.resolved.forEach((dbConf, key) => {
+      this.databases.set(
+        key,
+        this._createDatabase(key, conf.databases[key], dbConf)
+      );
+    });
+
+    Object.keys(conf.repositories).forEach((key) => {
+      const current = this.repositories.get(key);
+      if (elv(current) && elv(current.tenants)) {
+        this._retireTenants(current.tenants);
+      }
+
+      this.repositories.set(
+        key,
+        this._createRepository(key, conf.repositories[key], this.databases)
+      );
+    });
+
+    return null;
+  }
+
+
+  /**
+   * The internal errors module.  This provides clients with references to the
+   * custom error types thrown by Connector.
+   *
+   * @return {errors}
+   */
+  static get errors() { return errors; }
+
+
+  /**
+   * Factories for the Kibbutz providers shipped with Connector, which read
+   * configuration from environment variables and files.
+   *
+   * @return {providers}
+   */
+  static get providers() { return providerFactories; }
+
+
+  /**
+   * Gets or sets an instance of Connector to share across an application's
+   * modules.
+   *
+   * @return {Connector|null}
+   */
+  static get shared() { return shared; }
+  static set shared(val) {
+    if (val instanceof Connector || val === null) shared = val;
+    else throw new TypeError(msg.sharedInvalid);
+  }
+
+
+  /**
+   * Checks a merged configuration without creating any pools.
+   *
+   * @param {Object} conf
+   *
+   * @return {Array} Every problem found, as objects with the keys path,
+   * message and value.  Empty if the configuration is valid.
+   */
+  static validate(conf) {
+    return schema.validate(conf);
+  }
+
+
+  /**
+   * Tries to become the leader of a group of processes, by taking an
+   * exclusive advisory lock on a client checked out for as long as it is
+   * held.  The client is not tracked, so leak detection leaves it alone, and
+   * the repository's session settings and plugins do not apply to it.
+   *
+   * @param {String} repository
+   * @param {String|Number} key Strings are hashed to a bigint.
+   * @param {Object} [options]
+   * @param {Boolean} [options.wait] Wait for the lock if another process
+   * holds it.  Defaults to false.
+   * @param {Number} [options.timeout] Milliseconds to wait.
+   * @param {String|Number} [options.shardKey]
+   * @param {String} [options.tenant]
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to the leadership, or to null if the lock is
+   * held elsewhere.  The leadership has the keys key and held, a release()
+   * method, and emits "lost" with the error if its connection drops.
+   */
+  acquireLeadership(repository, key, options, callback) {
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 3 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    this._assertRepo(repository);
+    locks.assertKey(key);
+    assertCallback(cbfn);
+
+    const settings = elv.coalesce(opts, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+    locks.assertOptions(settings);
+    if (elv(settings.shared)) throw new TypeError(msg.argLeaderShared);
+
+    const repo = this.repositories.get(repository);
+    assertTenant(repo, settings);
+    assertShardKey(repo, settings);
+
+    const route = this._route(repo, lockRoute(settings));
+    const lockOptions = Object.assign({ wait: false }, settings);
+
+    return this._checkoutDirect(route.pool)
+      .then(checkout => locks.acquire(checkout.client, key, lockOptions)
+        .then((locked) => {
+          if (!locked) {
+            checkout.release();
+            return null;
+          }
+
+          const leadership = new locks.Leadership(
+            checkout.client,
+            checkout.release,
+            key,
+            ended => this._leaderships.delete(ended)
+          );
+
+          this._leaderships.add(leadership);
+          return leadership;
+        }, (err) => {
+          checkout.release(err);
+          throw err;
+        }))
+      .then((leadership) => {
+        if (elv(cbfn)) cbfn(null, leadership);
+        return leadership;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
+      });
+  }
+
+
+  /**
+   * Lists the clients currently checked out through the Connector.
+   *
+   * @return {Array} Objects with the keys repository, database, acquiredAt,
+   * age (in milliseconds), and stack (the stack trace of the checkout, when
+   * leak detection was on at the time, or null).
+   */
+  activeClients() {
+    const now = Date.now();
+    const result = [];
+
+    this._checkedOut.forEach((record) => {
+      result.push({
+        repository: record.repository,
+        database: record.database,
+        acquiredAt: record.acquiredAt,
+        age: now - record.acquiredAt,
+        stack: record.stack,
+      });
+    });
+
+    return result;
+  }
+
+
+  /**
+   * Adds additional repository mappings and database configurations to the
+   * Connector instance.
+   *
+   * @param {Object} ...confData
+   */
+  add(...args) {
+    if (args.length === 0) return this;
+
+    const configurator = new Kibbutz();
+    let vals = [];
+
+    for (let i = 0; i < args.length; i++) {
+      const val = args[i];
+      if (Array.isArray(val)) vals = vals.concat(val);
+      else vals.push(val);
+    }
+
+    configurator.append(vals);
+    const fillErr = this._fill(configurator.value);
+
+    if (elv(fillErr)) throw fillErr;
+
+    return this;
+  }
+
+
+  /**
+   * Registers a function that resolves secret references of the form
+   * { "$<name>": value }, such as { "$vault": "database/creds/app" }.
+   * References to registered resolvers may only be used for "password", which
+   * is resolved again for every new connection, so rotated credentials are
+   * picked up without a restart.  "$env" and "$file" are always available.
+   *
+   * @param {String} name
+   * @param {Function} resolver Given the reference's value, returns the
+   * secret as a string, or a Promise that resolves to one.
+   *
+   * @return {Connector}
+   */
+  addSecretResolver(name, resolver) {
+    if (!isNonEmptyString(name) || secrets.isBuiltin(name)) {
+      throw new TypeError(msg.argResolverName);
+    }
+
+    if (typeof resolver !== 'function') {
+      throw new TypeError(msg.argResolverFn);
+    }
+
+    this._resolvers.set(name, resolver);
+    return this;
+  }
+
+
+  /**
+   * Checks a client out, applies the repository's session settings to it,
+   * and starts tracking it.
+   *
+   * @private
+   */
+  _checkout(repo, route, stack) {
+    return this._acquire(repo, route)
+      .then((acquired) => {
+        const client = acquired.client;
+        const handOut = () => ({
+          client,
+          release: this._track(
+            repo,
+            acquired.database,
+            acquired.pool,
+            client,
+            acquired.done,
+            stack
+          ),
+        });
+
+        if (!elv(repo.session)) return handOut();
+
+        return Promise.try(() => client.query(repo.session))
+          .then(handOut, (err) => {
+            acquired.done(err);
+            throw err;
+          });
+      });
+  }
+
+
+  /**
+   * Checks a Client out of the connection pool to which the given repository
+   * name is mapped.
+   *
+   * @param {String} repository The name of the repository to which who's mapped
+   * Pool you are connecting.
+   * @param {Object} [options]
+   * @param {Boolean} [options.readOnly] Route the request to a replica, if the
+   * repository's database has any available.
+   * @param {Object} [options.retry] A retry policy that overrides the one
+   * configured on the repository, or on its database.
+   * @param {String|Number} [options.shardKey] The key that picks the shard.
+   * Required for sharded repositories.
+   * @param {String} [options.tenant] The tenant whose database to use.
+   * Required for tenant repositories.
+   * @param {ConnectCallback} [callback]
+   *
+   * @returns {Promise}
+   */
+  connect(repository, options, callback) {
+    // Note: we're throwing a hard error here, instead of returning
+    // Promise.reject(), because this represents a problem with the client code
+    // itself.  The app should cease running.
+    //
+    this._assertRepo(repository);
+
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 2 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    if (elv(opts) && !isPojo(opts)) throw new TypeError(msg.argOptionsPojo);
+    assertCallback(cbfn);
+
+    const retryProblem = (elv(opts) && elv(opts.retry))
+      ? retry.validate(opts.retry)
+      : null;
+    if (elv(retryProblem)) throw new TypeError(retryProblem);
+
+    const repo = this.repositories.get(repository);
+    assertTenant(repo, opts);
+    assertShardKey(repo, opts);
+
+    // An unknown tenant is thrown now, like a missing repository.
+    //
+    if (elv(repo.tenants)) this._tenantPool(repo, opts.tenant);
+
+    // Note: pg's Pool.prototype.connect() method returns a native Promise, and
+    // provides no method to inject a different library.  We're wrapping that
+    // functionality here to ensure a Bluebird Promise is returned.  Eventually,
+    // we should find a way to ensure that all of pg's methods return Bluebird
+    // Promises.  For now, this serves as the beginning of that effort.
+    //
+    return this._connect(repo, opts)
+      .then(checkout => [checkout.client, checkout.release])
+      .asCallback(cbfn, { spread: true })
+      .spread(client => client);
+  }
+
+
+  /**
+   * Turns on leak detection for clients checked out from now on.  The stack
+   * of each checkout is recorded, and a "leak" event is emitted for any
+   * client held longer than the threshold.
+   *
+   * @param {Object|Boolean} [options] Pass false to turn detection off.
+   * @param {Number} [options.threshold] Milliseconds a client may be held.
+   * @param {Boolean} [options.release] Forcibly release leaked clients.
+   *
+   * @return {Connector}
+   */
+  detectLeaks(options) {
+    if (options === false) {
+      this._leaks = null;
+      return this;
+    }
+
+    const settings = elv.coalesce(options, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argLeaksOptions);
+
+    if (elv(settings.threshold)
+        && (typeof settings.threshold !== 'number'
+            || !(settings.threshold >= 0))) {
+      throw new TypeError(msg.argThresholdNum);
+    }
+
+    if (elv(settings.release) && typeof settings.release !== 'boolean') {
+      throw new TypeError(msg.argReleaseBool);
+    }
+
+    this._leaks = {
+      threshold: elv.coalesce(settings.threshold, defaultLeakThreshold),
+      release: settings.release === true,
+    };
+
+    return this;
+  }
+
+
+  /**
+   * Stops handing out clients, waits for checked-out clients to be released,
+   * and ends every pool the Connector created.  Calling end() more than once
+   * returns the same Promise.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeout] Milliseconds to wait for checked-out
+   * clients before they are forcibly released.
+   * @param {Function} [callback] A function invoked after end() completes.
+   *
+   * @return {Promise}
+   */
+  end(options, callback) {
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 1 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    assertCallback(cbfn);
+
+    const settings = elv.coalesce(opts, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+    assertTimeout(settings.timeout);
+
+    if (this._endPromise === null) {
+      const pending = [];
+
+      this._ending = true;
+      this._watchers.forEach(watcher => watcher.close());
+      this.databases.forEach((db) => {
+        pending.push(this._endDatabase(db, settings.timeout));
+      });
+      this.repositories.forEach((repo) => {
+        if (!elv(repo.tenants)) return;
+        repo.tenants.clear().forEach((pool) => {
+          pending.push(this._endPool(pool, settings.timeout));
+        });
+      });
+      this._draining.forEach(draining => pending.push(draining));
+      if (elv(this._sandbox)) pending.push(this._sandbox.end());
+      this._listeners.forEach(listener => pending.push(listener.close()));
+      this._leaderships.forEach((leadership) => {
+        pending.push(leadership.release());
+      });
+      this._listeners.clear();
+
+      this._endPromise = Promise.all(pending).return(this);
+    }
+
+    // asCallback() calls back outside the chain, so an error thrown by the
+    // callback is raised rather than turned into a rejection.
+    //
+    return this._endPromise.asCallback(cbfn);
+  }
+
+
+  /**
+   * Runs fn on a client of every shard of a sharded repository, in parallel.
+   * Each client is released once fn is done with it.
+   *
+   * @param {String} repository
+   * @param {Function} fn Given the client, and the shard as an object with
+   * the keys index and database.  May return a Promise.
+   * @param {Object} [options]
+   * @param {Boolean} [options.readOnly] Use the shards' replicas, if they
+   * have any available.
+   * @param {Function} [callback] Called with the results.
+   *
+   * @return {Promise} Resolves to fn's results, in the order of the shards.
+   * Rejects with the first error.
+   */
+  forEachShard(repository, fn, options, callback) {
+    this._assertRepo(repository);
+
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 3 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    if (typeof fn !== 'function') throw new TypeError(msg.argFn);
+    if (elv(opts) && !isPojo(opts)) throw new TypeError(msg.argOptionsPojo);
+    assertCallback(cbfn);
+
+    const repo = this.repositories.get(repository);
+    if (!elv(repo.shards)) throw new TypeError(msg.argShardedRepo);
+
+    const connectOptions = { readOnly: elv(opts) && opts.readOnly === true };
+
+    return Promise.map(repo.shards.databases, (name, index) => {
+      const db = this.databases.get(name);
+
+      return this._connect(repo, connectOptions, db)
+        .then((checkout) => {
+          const shard = { index, database: name };
+          let releaseErr;
+
+          return Promise.try(() => fn(checkout.client, shard))
+            .catch((err) => {
+              if (isConnectionError(err)) releaseErr = err;
+              throw err;
+            })
+            .finally(() => checkout.release(releaseErr));
+        });
+    })
+      .then((results) => {
+        if (elv(cbfn)) cbfn(null, results);
+        return results;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
+      });
+  }
+
+
+  /**
+   * Gets the pool to which the repository name is mapped.
+   *
+   * @param {String} repository The name of the repository to which who's mapped
+   * Pool you are looking up.
+   * @param {Object} [options]
+   * @param {Boolean} [options.readOnly] Return a replica's pool, if the
+   * repository's database has any available.
+   * @param {String|Number} [options.shardKey] The key that picks the shard.
+   * Required for sharded repositories.
+   * @param {String} [options.tenant] The tenant whose pool to return.
+   * Required for tenant repositories.
+   */
+  getPool(repository, options) {
+    this._assertRepo(repository);
+    if (elv(options) && !isPojo(options)) {
+      throw new TypeError(msg.argOptionsPojo);
+    }
+
+    const repo = this.repositories.get(repository);
+    assertTenant(repo, options);
+    assertShardKey(repo, options);
+
+    const route = this._route(repo, options);
+
+    if (elv(this._sandbox)) return this._sandbox.pool(sandboxKey(route));
+    return route.pool;
+  }
+
+
+  /**
+   * Probes every configured database, and its replicas, once.  The report
+   * is healthy when every database's primary is reachable.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.timeout] Milliseconds to wait for each probe.
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to the health report.  Never rejects because a
+   * database is unreachable.
+   */
+  healthCheck(options, callback) {
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 1 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    assertCallback(cbfn);
+
+    const settings = elv.coalesce(opts, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+    assertTimeout(settings.timeout);
+
+    const timeout = elv.coalesce(settings.timeout, defaultHealthTimeout);
+    const reposByDatabase = new Map();
+
+    this.repositories.forEach((repo) => {
+      repoDatabases(repo).forEach((name) => {
+        const names = elv.coalesce(reposByDatabase.get(name), []);
+        names.push(repo.name);
+        reposByDatabase.set(name, names);
+      });
+    });
+
+    const dbs = Array.from(this.databases.values());
+
+    return Promise.map(dbs, db => Promise.all([
+      health.probe(db.pool, timeout),
+      Promise.map(db.replicas, replica => health.probe(replica.pool, timeout)),
+    ]))
+      .then((results) => {
+        const report = {
+          healthy: true,
+          databases: {},
+          affectedRepositories: [],
+        };
+
+        for (let i = 0; i < dbs.length; i++) {
+          const name = dbs[i].name;
+          const status = results[i][0];
+          const repositories = elv.coalesce(reposByDatabase.get(name), []);
+
+          status.repositories = repositories;
+          status.replicas = results[i][1];
+          report.databases[name] = status;
+
+          if (!status.healthy) {
+            report.healthy = false;
+            report.affectedRepositories = report.affectedRepositories
+              .concat(repositories);
+          }
+        }
+
+        if (elv(cbfn)) cbfn(null, report);
+        return report;
+      });
+  }
+
+
+  /**
+   * Creates a request handler for Node's http module that responds with the
+   * report from healthCheck().
+   *
+   * @param {Object} [options] The options given to healthCheck().
+   *
+   * @return {Function}
+   */
+  healthHandler(options) {
+    const settings = elv.coalesce(options, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+    assertTimeout(settings.timeout);
+
+    return health.handler(() => this.healthCheck(settings));
+  }
+
+
+  /**
+   * Calls handler with every notification sent on a channel of a
+   * repository's database.  Each database has one dedicated connection,
+   * opened by its first subscription, which listens to every channel
+   * subscribed to.  If the connection is lost, it is reopened with backoff,
+   * as set by the database's retry policy, and the channels are listened to
+   * again.  Notifications sent in the meantime are missed.
+   *
+   * Errors thrown by handler, or while parsing a payload, are emitted as
+   * "error" events.
+   *
+   * @param {String} repository
+   * @param {String} channel
+   * @param {Function} handler Given the payload, and an object with the keys
+   * repository, database, channel and processId (of the sending backend).
+   * May return a Promise.
+   * @param {Object} [options]
+   * @param {Boolean} [options.json] Parse payloads as JSON.  Empty payloads
+   * are given as null.
+   * @param {Function} [callback] Called with the subscription.
+   *
+   * @return {Promise} Resolves to the subscription once the channel is
+   * listened to.  The subscription has the keys channel and
+   * unsubscribe([callback]), which returns a Promise.  Once no subscription
+   * is left on a database, its connection is closed.
+   */
+  listen(repository, channel, handler, options, callback) {
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 4 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    this._assertRepo(repository);
+    if (!isNonEmptyString(channel)) throw new TypeError(msg.argChannelStr);
+    if (typeof handler !== 'function') throw new TypeError(msg.argHandlerFn);
+    assertCallback(cbfn);
+
+    const settings = elv.coalesce(opts, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+
+    if (elv(settings.json) && typeof settings.json !== 'boolean') {
+      throw new TypeError(msg.argJsonBool);
+    }
+
+    const repo = this.repositories.get(repository);
+
+    if (elv(repo.shards) || elv(repo.tenants)) {
+      throw new TypeError(msg.argListenRepo);
+    }
+
+    if (typeof this._pg.Client !== 'function') {
+      throw new TypeError(msg.missingPgClient);
+    }
+
+    if (this._ending) throw new Error(msg.connectorEnding);
+
+    const database = repo.databaseName;
+    const listener = this._listenerFor(database);
+
+    const deliver = (notification) => {
+      Promise.try(() => {
+        const raw = notification.payload;
+        let payload = raw;
+
+        if (settings.json === true) {
+          payload = (elv(raw) && raw.length > 0) ? JSON.parse(raw) : null;
+        }
+
+        return handler(payload, {
+          repository,
+          database,
+          channel,
+          processId: notification.processId,
+        });
+      })
+        .catch(err => this._emitError(err));
+    };
+
+    const subscription = {
+      channel,
+      unsubscribe: (unsubscribed) => {
+        assertCallback(unsubscribed);
+
+        return listener.unsubscribe(channel, deliver)
+          .then(() => {
+            if (elv(unsubscribed)) unsubscribed(null);
+          }, (err) => {
+            if (elv(unsubscribed)) unsubscribed(err);
+            throw err;
+          });
+      },
+    };
+
+    return listener.subscribe(channel, deliver)
+      .then(() => {
+        if (elv(cbfn)) cbfn(null, subscription);
+        return subscription;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
+      });
+  }
+
+
+  /**
+   * Loads information used to configure pg connection pools, and the
+   * repositories that use them.
+   *
+   * @param {Array} providers An list of Kibbutz-styled configuration providers.
+   * @param {Object} [value] A base configure object.
+   * @param {Function} [callback] A function invoked after load() completes.
+   *
+   * @return {Promise}
+   */
+  load(providers, value, callback) {
+    if (!Array.isArray(providers)) throw new TypeError(msg.argProvidersArray);
+    if (providers.length === 0) throw new TypeError(msg.argProvidersLen);
+
+    let val;
+    let cbfn;
+
+    if (arguments.length === 2 && typeof value === 'function') {
+      cbfn = value;
+    } else {
+      val = value;
+      cbfn = callback;
+    }
+
+    assertCallback(cbfn);
+
+    const self = this;
+    const configurator = this._configurator(val);
+    const providerFns = providers;
+
+    return new Promise((resolve, reject) => {
+      const resolveCallback = resolve;
+      const rejectCallback = reject;
+
+      configurator.load(providerFns, (err, conf) => {
+        if (elv(err)) {
+          if (elv(cbfn)) cbfn(err);
+          rejectCallback(err);
+          return;
+        }
+
+        const fillErr = self._fill(conf);
+
+        if (elv(fillErr)) {
+          if (elv(cbfn)) cbfn(fillErr);
+          rejectCallback(fillErr);
+          return;
+        }
+
+        self._emitter.emit('done', secrets.redact(conf));
+        if (elv(cbfn)) cbfn(null, self);
+        resolveCallback(self);
+      });
+    });
+  }
+
+
+  /**
+   * Changes what query events report.  Every query run on a checked-out
+   * client emits a "query" or "queryError" event, and also a "slowQuery"
+   * event when it takes at least the slow threshold.  Options that are not
+   * given are reset to their defaults.
+   *
+   * @param {Object} [options]
+   * @param {Number} [options.slowThreshold] Milliseconds a query must take
+   * to be slow.  Defaults to 1000.
+   * @param {Boolean} [options.includeParams] Include query parameters in
+   * events, instead of redacting them.
+   *
+   * @return {Connector}
+   */
+  logQueries(options) {
+    const settings = elv.coalesce(options, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+
+    if (elv(settings.slowThreshold)
+        && (typeof settings.slowThreshold !== 'number'
+            || !(settings.slowThreshold >= 0))) {
+      throw new TypeError(msg.argSlowThresholdNum);
+    }
+
+    if (elv(settings.includeParams)
+        && typeof settings.includeParams !== 'boolean') {
+      throw new TypeError(msg.argIncludeParamsBool);
+    }
+
+    this._queryLog = {
+      slowThreshold: elv.coalesce(
+        settings.slowThreshold,
+        defaultSlowQueryThreshold
+      ),
+      includeParams: settings.includeParams === true,
+    };
+
+    return this;
+  }
+
+
+  /**
+   * Renders stats() in the Prometheus text exposition format.
+   *
+   * @return {String}
    */
-  load(providers, value, callback) {
+  metrics() {
+    return stats.render(this.stats());
+  }
+
+
+  /**
+   * Runs the migrations in a directory against a database, or against the
+   * database a repository is mapped to.  Names are looked up as repositories
+   * first, and a repository's session settings apply while its migrations
+   * run, so they land in its schema.
+   *
+   * Migration files are named <version>_<name>.sql, with an optional
+   * <version>_<name>.down.sql to roll it back, or <version>_<name>.js,
+   * exporting up(client) and optionally down(client).  They run in version
+   * order, each in its own transaction, and are recorded in the migrations
+   * table.  Runners on the same database take turns through an advisory
+   * lock.
+   *
+   * @param {String} target The name of a repository or database.
+   * @param {Object} options
+   * @param {String} options.directory The directory holding the migrations.
+   * @param {String} [options.command] "up" applies pending migrations, and is
+   * the default.  "rollback" undoes the latest ones.  "status" only reports.
+   * @param {Number} [options.steps] How many migrations "rollback" undoes, 1
+   * by default.
+   * @param {String} [options.table] The migrations table, which may be
+   * qualified by a schema.  Defaults to "pgconnector_migrations".
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to the version and name of each migration
+   * run, or, for "status", to the state of every migration.  Rejects with a
+   * MigrationError if an applied migration's file is gone or has changed.
+   */
+  migrate(target, options, callback) {
+    if (!isNonEmptyString(target)) throw new TypeError(msg.argTargetStr);
+    if (!elv(options) || !isPojo(options)) {
+      throw new TypeError(msg.argOptionsPojo);
+    }
+
+    assertCallback(callback);
+    migrations.assertOptions(options);
+
+    const repo = this.repositories.get(target);
+    let checkout;
+    let database;
+
+    if (elv(repo)) {
+      if (elv(repo.shards) || elv(repo.tenants)) {
+        throw new TypeError(msg.argMigrateRepo);
+      }
+
+      database = repo.databaseName;
+      checkout = () => this._connect(repo, {});
+    } else if (this.databases.has(target)) {
+      database = target;
+      checkout = () => this._checkoutDirect(this.databases.get(target).pool);
+    } else {
+      throw new ConfigurationError(msg.missingTarget + target, target);
+    }
+
+    const onStep = (info) => {
+      this._emitter.emit('migrate', Object.assign({
+        repository: (elv(repo)) ? repo.name : null,
+        database,
+      }, info));
+    };
+
+    // A client whose run fails is destroyed rather than returned to its
+    // pool, so the advisory lock cannot outlive the run.
+    //
+    return migrations.load(options.directory)
+      .then(loaded => checkout()
+        .then(acquired => Promise.try(() => migrations.run(
+          acquired.client,
+          loaded,
+          options,
+          onStep
+        ))
+          .then((result) => {
+            acquired.release();
+            return result;
+          }, (err) => {
+            acquired.release(err);
+            throw err;
+          })))
+      .then((result) => {
+        if (elv(callback)) callback(null, result);
+        return result;
+      }, (err) => {
+        if (elv(callback)) callback(err);
+        throw err;
+      });
+  }
+
+
+  /**
+   * Sends a notification on a channel, through a client of the repository's
+   * pool.  Notifications sent inside a transaction are only delivered once
+   * it commits.
+   *
+   * @param {String} repository
+   * @param {String} channel
+   * @param {*} [payload] Strings are sent as they are, and anything else as
+   * JSON.
+   * @param {Function} [callback]
+   *
+   * @return {Promise}
+   */
+  notify(repository, channel, payload, callback) {
+    let value = payload;
+    let cbfn = callback;
+
+    if (arguments.length === 3 && typeof payload === 'function') {
+      value = undefined;
+      cbfn = payload;
+    }
+
+    this._assertRepo(repository);
+    if (!isNonEmptyString(channel)) throw new TypeError(msg.argChannelStr);
+    assertCallback(cbfn);
+
+    let text = '';
+    if (typeof value === 'string') text = value;
+    else if (elv(value)) text = JSON.stringify(value);
+
+    return this._query(
+      repository,
+      notifyQuery,
+      { values: [channel, text], cbfn },
+      () => undefined
+    );
+  }
+
+
+  /**
+   * Runs a single query on a client checked out of the pool to which the given
+   * repository is mapped.  The client is always released.
+   *
+   * @param {String} repository
+   * @param {String|Object} textOrConfig Query text, or a pg query config
+   * object.
+   * @param {Array} [params]
+   * @param {Object} [options] The options of connect().
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to pg's Result.
+   */
+  query(repository, textOrConfig, params, options, callback) {
+    this._assertRepo(repository);
+    const args = queryArgs(arguments.length, textOrConfig, params, options,
+      callback);
+    return this._query(repository, textOrConfig, args, result => result);
+  }
+
+
+  /**
+   * Same as query(), but resolves to the only row returned, or null if there
+   * were none.  Rejects with a QueryResultError if more than one row was
+   * returned.
+   *
+   * @param {String} repository
+   * @param {String|Object} textOrConfig
+   * @param {Array} [params]
+   * @param {Object} [options]
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to a row or null.
+   */
+  queryMaybeOne(repository, textOrConfig, params, options, callback) {
+    this._assertRepo(repository);
+    const args = queryArgs(arguments.length, textOrConfig, params, options,
+      callback);
+
+    return this._query(repository, textOrConfig, args, (result) => {
+      if (result.rows.length > 1) {
+        throw new QueryResultError(msg.queryMaybeOne + result.rows.length, {
+          repository,
+          rowCount: result.rows.length,
+        });
+      }
+
+      return (result.rows.length > 0) ? result.rows[0] : null;
+    });
+  }
+
+
+  /**
+   * Same as query(), but resolves to the only row returned.  Rejects with a
+   * QueryResultError if the query did not return exactly one row.
+   *
+   * @param {String} repository
+   * @param {String|Object} textOrConfig
+   * @param {Array} [params]
+   * @param {Object} [options]
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to a row.
+   */
+  queryOne(repository, textOrConfig, params, options, callback) {
+    this._assertRepo(repository);
+    const args = queryArgs(arguments.length, textOrConfig, params, options,
+      callback);
+
+    return this._query(repository, textOrConfig, args, (result) => {
+      if (result.rows.length !== 1) {
+        throw new QueryResultError(msg.queryOne + result.rows.length, {
+          repository,
+          rowCount: result.rows.length,
+        });
+      }
+
+      return result.rows[0];
+    });
+  }
+
+
+  /**
+   * Loads configuration again, and applies the differences to the running
+   * instance.  Pools are only created for new or changed databases,
+   * repositories are repointed all at once, and pools that are no longer used
+   * are ended once their clients are released.
+   *
+   * @param {Array} providers An list of Kibbutz-styled configuration providers.
+   * @param {Object} [value] A base configure object.
+   * @param {Function} [callback] A function invoked after reload() completes.
+   *
+   * @return {Promise} Resolves to a description of what changed.
+   */
+  reload(providers, value, callback) {
     if (!Array.isArray(providers)) throw new TypeError(msg.argProvidersArray);
     if (providers.length === 0) throw new TypeError(msg.argProvidersLen);
 
@@ -375,47 +2613,467 @@ class Connector {
 
     assertCallback(cbfn);
 
-    const options = (elv(val)) ? { value: val } : undefined;
     const self = this;
-    const configurator = new Kibbutz(options);
+    const configurator = this._configurator(val);
 
-    configurator
-      .on('config', (fragment) => {
-        self._emitter.emit('config', fragment);
+    return new Promise((resolve, reject) => {
+      configurator.load(providers, (err, conf) => {
+        if (elv(err)) reject(err);
+        else resolve(conf);
       });
+    })
+      .then(conf => self._apply(conf))
+      .then((changes) => {
+        if (elv(cbfn)) cbfn(null, changes);
+        return changes;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
+      });
+  }
 
-    const providerFns = providers;
 
-    return new Promise((resolve, reject) => {
-      const resolveCallback = resolve;
-      const rejectCallback = reject;
+  /**
+   * Removes a database, and ends its pools once their checked-out clients are
+   * released.  A ConfigurationError is thrown if repositories are still mapped
+   * to the database, unless options.force is set, in which case those
+   * repositories are removed too.
+   *
+   * @param {String} database
+   * @param {Object} [options]
+   * @param {Boolean} [options.force] Also remove mapped repositories.
+   * @param {Number} [options.timeout] Milliseconds to wait for checked-out
+   * clients before they are forcibly released.
+   * @param {Function} [callback] A function invoked after the pools end.
+   *
+   * @return {Promise}
+   */
+  removeDatabase(database, options, callback) {
+    if (!isNonEmptyString(database)) throw new TypeError(msg.argDatabaseStr);
 
-      configurator.load(providerFns, (err, conf) => {
-        if (elv(err)) {
-          if (elv(cbfn)) cbfn(err);
-          rejectCallback(err);
-          return;
-        }
+    let opts;
+    let cbfn;
 
-        const fillErr = self._fill(conf);
+    if (arguments.length === 2 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
 
-        if (elv(fillErr)) {
-          if (elv(cbfn)) cbfn(fillErr);
-          rejectCallback(fillErr);
-          return;
-        }
+    assertCallback(cbfn);
 
-        self._emitter.emit('done', conf);
-        if (elv(cbfn)) cbfn(null, self);
-        resolveCallback(self);
+    const settings = elv.coalesce(opts, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+    assertTimeout(settings.timeout);
+
+    if (!this.databases.has(database)) {
+      throw new ConfigurationError(msg.missingDatabase + database, database);
+    }
+
+    const mapped = [];
+
+    this.repositories.forEach((repo) => {
+      if (repoDatabases(repo).indexOf(database) > -1) mapped.push(repo.name);
+    });
+
+    if (mapped.length > 0 && settings.force !== true) {
+      throw new ConfigurationError(msg.dbInUse, {
+        database,
+        repositories: mapped,
+      });
+    }
+
+    mapped.forEach(name => this.removeRepository(name));
+
+    const db = this.databases.get(database);
+    this.databases.delete(database);
+    this._emitter.emit('remove', { type: 'database', name: database });
+
+    return this._retire(db, settings.timeout)
+      .then(() => {
+        if (elv(cbfn)) cbfn(null, this);
+        return this;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
+      });
+  }
+
+
+  /**
+   * Removes a repository mapping.  The database it was mapped to is left in
+   * place.
+   *
+   * @param {String} repository
+   *
+   * @return {Connector}
+   */
+  removeRepository(repository) {
+    this._assertRepo(repository);
+
+    const repo = this.repositories.get(repository);
+    if (elv(repo.tenants)) this._retireTenants(repo.tenants);
+
+    this.repositories.delete(repository);
+    this._emitter.emit('remove', { type: 'repository', name: repository });
+
+    return this;
+  }
+
+
+  /**
+   * Starts a sandbox for integration tests.  Until it ends, every client
+   * checked out is a stand-in for one client pinned per database, inside a
+   * transaction that is rolled back when the sandbox ends.  Transactions run
+   * on stand-ins become savepoints, replicas are skipped, and getPool()
+   * returns pools of stand-ins.
+   *
+   * As with any transaction, a failed query aborts the sandbox's transaction
+   * unless it ran inside a nested transaction.
+   *
+   * @return {Sandbox} With an end([callback]) method, which rolls back, gives
+   * the pinned clients back, and returns a Promise.
+   */
+  sandbox() {
+    if (this._ending) throw new Error(msg.connectorEnding);
+    if (elv(this._sandbox)) throw new Error(msg.sandboxActive);
+
+    const created = new sandbox.Sandbox(() => {
+      if (this._sandbox === created) this._sandbox = null;
+    });
+
+    this._sandbox = created;
+    return created;
+  }
+
+
+  /**
+   * Gets usage statistics for every database and repository.  Counters are
+   * kept per repository, so that a repository exhausting a shared pool can be
+   * identified.  Durations are in milliseconds.
+   *
+   * @return {Object}
+   */
+  stats() {
+    const result = { databases: {}, repositories: {} };
+    const snapshot = (map, name) => {
+      if (!map.has(name)) map.set(name, stats.createCounters());
+      return stats.snapshot(map.get(name));
+    };
+
+    this.databases.forEach((db) => {
+      result.databases[db.name] = Object.assign({
+        pool: stats.poolCounts(db.pool),
+        replicas: db.replicas.map(replica => stats.poolCounts(replica.pool)),
+        circuit: (elv(db.breaker)) ? db.breaker.snapshot() : null,
+      }, snapshot(this._counters.databases, db.name));
+    });
+
+    this.repositories.forEach((repo) => {
+      result.repositories[repo.name] = Object.assign({
+        database: repo.databaseName,
+        shards: (elv(repo.shards)) ? repo.shards.databases.slice() : null,
+        tenants: (elv(repo.tenants)) ? repo.tenants.open() : null,
+      }, snapshot(this._counters.repositories, repo.name));
+    });
+
+    return result;
+  }
+
+
+  /**
+   * Runs a function inside a transaction on a client checked out of the pool
+   * to which the given repository is mapped.  The transaction is committed if
+   * fn succeeds, rolled back if it fails, and the client is always released.
+   *
+   * Passing a client that is already inside a transaction, instead of a
+   * repository name, runs fn inside a SAVEPOINT on that client.
+   *
+   * @param {String|Client} repository
+   * @param {Function} fn Given the client, and may return a Promise.
+   * @param {Object} [options]
+   * @param {String} [options.isolationLevel]
+   * @param {Boolean} [options.readOnly]
+   * @param {Boolean} [options.deferrable]
+   * @param {String|Number} [options.shardKey] Required for sharded
+   * repositories.
+   * @param {String} [options.tenant] Required for tenant repositories.
+   * @param {Function} [callback] Called with the value fn resolved to.
+   *
+   * @return {Promise}
+   */
+  transaction(repository, fn, options, callback) {
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 3 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    const nested = transaction.isActive(repository);
+
+    if (!nested && !isNonEmptyString(repository)) {
+      throw new TypeError(msg.argRepoOrClient);
+    }
+
+    if (!nested) this._assertRepo(repository);
+    if (typeof fn !== 'function') throw new TypeError(msg.argFn);
+    if (elv(opts) && !isPojo(opts)) throw new TypeError(msg.argOptionsPojo);
+    assertCallback(cbfn);
+
+    const settings = elv.coalesce(opts, {});
+    transaction.assertOptions(settings);
+    if (nested && elv(settings.retry)) throw new TypeError(msg.argRetryNested);
+
+    let work;
+
+    if (nested) {
+      work = transaction.run(repository, fn, settings);
+    } else {
+      work = this.connect(repository, {
+        readOnly: settings.readOnly === true,
+        retry: settings.retry,
+        shardKey: settings.shardKey,
+        tenant: settings.tenant,
+      })
+        .then((client) => {
+          let releaseErr;
+
+          const onRollbackError = (err) => {
+            releaseErr = err;
+          };
+
+          return transaction.run(client, fn, settings, onRollbackError)
+            .finally(() => client.release(releaseErr));
+        });
+    }
+
+    return work
+      .then((result) => {
+        if (elv(cbfn)) cbfn(null, result);
+        return result;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
       });
+  }
+
+
+  /**
+   * Adds a plugin, whose hooks run around the clients the Connector hands
+   * out, after the plugins added before it.  Hooks are given a context with
+   * the keys repository, database, options (given to connect()), client and
+   * state, which is shared by every hook of a checkout.  Any hook may return
+   * a Promise.
+   *
+   * - beforeConnect and afterConnect run around checking a client out.
+   * - beforeQuery may return a new query text or config object, found in
+   *   context.query, to run instead.
+   * - afterQuery is given the result in context.result.
+   * - onError is given context.error and context.phase, "connect", "query"
+   *   or "afterQuery", and may throw a different error to replace it.
+   * - beforeRelease runs before the client goes back to its pool, with the
+   *   release error, if any, in context.error.
+   *
+   * @param {Object} plugin
+   * @param {Object} [options]
+   * @param {Array} [options.repositories] The names of the repositories the
+   * plugin applies to.  Defaults to every repository.
+   *
+   * @return {Connector}
+   */
+  use(plugin, options) {
+    plugins.assert(plugin);
+
+    const settings = elv.coalesce(options, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+
+    const repositories = settings.repositories;
+
+    if (elv(repositories) && (!Array.isArray(repositories)
+        || !repositories.every(isNonEmptyString))) {
+      throw new TypeError(msg.argPluginRepos);
+    }
+
+    this._plugins.push({
+      plugin,
+      repositories: (elv(repositories)) ? new Set(repositories) : null,
     });
+
+    return this;
+  }
+
+
+  /**
+   * Polls configuration files, and calls reload() with the given providers
+   * whenever one of them changes.  Providers with a "file" key are watched
+   * automatically.  Errors while reloading are emitted as "error" events.
+   *
+   * @param {Array} providers An list of Kibbutz-styled configuration providers.
+   * @param {Object} [options]
+   * @param {Array} [options.files] Additional paths to watch.
+   * @param {Number} [options.interval] Milliseconds between polls.
+   * @param {Number} [options.debounce] Milliseconds to wait after a change.
+   * @param {Object} [options.value] A base configure object.
+   *
+   * @return {Object} An object with a close() method that stops watching.
+   */
+  watch(providers, options) {
+    if (!Array.isArray(providers)) throw new TypeError(msg.argProvidersArray);
+    if (providers.length === 0) throw new TypeError(msg.argProvidersLen);
+
+    const settings = elv.coalesce(options, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+
+    const extra = elv.coalesce(settings.files, []);
+    if (!Array.isArray(extra) || !extra.every(isNonEmptyString)) {
+      throw new TypeError(msg.argFilesArray);
+    }
+
+    const interval = elv.coalesce(settings.interval, defaultWatchInterval);
+    const debounce = elv.coalesce(settings.debounce, defaultWatchDebounce);
+    if (typeof interval !== 'number' || !(interval >= 0)) {
+      throw new TypeError(msg.argIntervalNum);
+    }
+    assertTimeout(debounce);
+
+    const self = this;
+    const files = extra.concat(providers
+      .filter(provider => elv(provider) && isNonEmptyString(provider.file))
+      .map(provider => provider.file));
+
+    let timer = null;
+    let reloading = Promise.resolve();
+
+    // A failed reload must not keep later changes from being applied, so the
+    // chain is always left resolved.
+    //
+    const reload = () => {
+      timer = null;
+      reloading = reloading
+        .then(() => self.reload(providers, settings.value))
+        .catch(err => self._emitError(err))
+        .reflect();
+    };
+
+    const listener = (curr, prev) => {
+      if (curr.mtime.getTime() === prev.mtime.getTime()) return;
+      if (timer !== null) clearTimeout(timer);
+      timer = setTimeout(reload, debounce);
+    };
+
+    for (let i = 0; i < files.length; i++) {
+      fs.watchFile(files[i], { interval, persistent: false }, listener);
+    }
+
+    const watcher = {
+      files,
+      close: () => {
+        if (timer !== null) clearTimeout(timer);
+        for (let i = 0; i < files.length; i++) {
+          fs.unwatchFile(files[i], listener);
+        }
+        self._watchers.delete(watcher);
+      },
+    };
+
+    this._watchers.add(watcher);
+    return watcher;
+  }
+
+
+  /**
+   * Runs fn while holding an advisory lock, on a client checked out for the
+   * repository.  The lock is always released afterwards, and the client given
+   * back.  If releasing the lock fails, or fn fails because the connection
+   * broke, the client is destroyed instead, which releases it too.
+   *
+   * @param {String} repository
+   * @param {String|Number} key Strings are hashed to a bigint.
+   * @param {Function} fn Given the client, and may return a Promise.
+   * @param {Object} [options]
+   * @param {Boolean} [options.wait] Wait for the lock if it is held
+   * elsewhere.  Defaults to true.
+   * @param {Number} [options.timeout] Milliseconds to wait.  Waits for as
+   * long as it takes by default.
+   * @param {Boolean} [options.shared] Take a shared lock, which only
+   * excludes exclusive ones.
+   * @param {String|Number} [options.shardKey]
+   * @param {String} [options.tenant]
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Resolves to the value returned by fn.  Rejects with a
+   * LockError if the lock was not acquired, in which case fn is not called.
+   */
+  withLock(repository, key, fn, options, callback) {
+    let opts;
+    let cbfn;
+
+    if (arguments.length === 4 && typeof options === 'function') {
+      cbfn = options;
+    } else {
+      opts = options;
+      cbfn = callback;
+    }
+
+    this._assertRepo(repository);
+    locks.assertKey(key);
+    if (typeof fn !== 'function') throw new TypeError(msg.argFn);
+    assertCallback(cbfn);
+
+    const settings = elv.coalesce(opts, {});
+    if (!isPojo(settings)) throw new TypeError(msg.argOptionsPojo);
+    locks.assertOptions(settings);
+
+    const repo = this.repositories.get(repository);
+    assertTenant(repo, settings);
+    assertShardKey(repo, settings);
+
+    let unlockErr = null;
+    let acquired = false;
+
+    const locked = (client) => {
+      acquired = true;
+      return fn(client);
+    };
+
+    return this._connect(repo, lockRoute(settings))
+      .then(checkout => locks.run(checkout.client, key, locked, settings,
+        (err) => {
+          unlockErr = err;
+        })
+        .then((outcome) => {
+          checkout.release((elv(unlockErr)) ? unlockErr : undefined);
+          if (!outcome.locked) throw new LockError(key);
+          return outcome.result;
+        }, (err) => {
+          // A failed acquire may have left lock_timeout, or the lock, on the
+          // session, so the client is destroyed rather than reused.
+          //
+          if (!acquired) checkout.release(err);
+          else if (elv(unlockErr)) checkout.release(unlockErr);
+          else checkout.release((isBrokenConnection(err)) ? err : undefined);
+
+          throw err;
+        }))
+      .then((result) => {
+        if (elv(cbfn)) cbfn(null, result);
+        return result;
+      }, (err) => {
+        if (elv(cbfn)) cbfn(err);
+        throw err;
+      });
   }
 
 
   /**
    * Attaches a listener function to an event.  Possible events include: config
-   * done, and error.
+   * done, end, error, listen, migrate, query, queryError, reload, remove,
+   * retry, route, slowQuery, and warning.
    *
    * @param {String} eventName
    * @param {Function} listener
@@ -427,10 +3085,7 @@ class Connector {
 
     if (typeof listener !== 'function') throw new TypeError(msg.argListenerFn);
 
-    if (eventName !== 'config'
-        && eventName !== 'done'
-        && eventName !== 'error'
-    ) {
+    if (!events.has(eventName)) {
       throw new Error(msg.argUnknownEventName + eventName);
     }
 
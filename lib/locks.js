@@ -0,0 +1,303 @@
+'use strict';
+
+const crypto = require('crypto');
+const elv = require('elv');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+
+const msg = {
+  argKey: 'Argument "key" must be a non-empty string or a safe integer',
+  connectionLost: 'Connection holding the advisory lock was lost',
+  optSharedBool: 'Option "shared" must be a boolean',
+  optTimeoutNum: 'Option "timeout" must be a non-negative number',
+  optWaitBool: 'Option "wait" must be a boolean',
+};
+
+
+// Postgres raises lock_not_available when lock_timeout runs out.
+//
+const lockNotAvailable = '55P03';
+
+
+// String keys are hashed to the first 64 bits of their SHA-256 digest, which
+// Postgres reads as a bigint from hex.
+//
+const hashedKey = '(\'x\' || $1)::bit(64)::bigint';
+
+
+/**
+ * Throws a TypeError if key is not a valid lock key.
+ *
+ * @param {*} key
+ */
+function assertKey(key) {
+  if ((typeof key === 'string' && key.length > 0)
+      || Number.isSafeInteger(key)) {
+    return;
+  }
+
+  throw new TypeError(msg.argKey);
+}
+
+
+/**
+ * Throws a TypeError if the options of a lock are invalid.
+ *
+ * @param {Object} options
+ */
+function assertOptions(options) {
+  if (elv(options.wait) && typeof options.wait !== 'boolean') {
+    throw new TypeError(msg.optWaitBool);
+  }
+
+  if (elv(options.shared) && typeof options.shared !== 'boolean') {
+    throw new TypeError(msg.optSharedBool);
+  }
+
+  if (elv(options.timeout)
+      && (typeof options.timeout !== 'number' || !(options.timeout >= 0))) {
+    throw new TypeError(msg.optTimeoutNum);
+  }
+}
+
+
+function hash(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+}
+
+
+// Builds a call to one of the advisory lock functions, whose name is given
+// without its "pg_" prefix or "_shared" suffix.
+//
+function statement(fn, key, shared) {
+  const name = `pg_${fn}${(shared) ? '_shared' : ''}`;
+
+  if (typeof key === 'number') {
+    return {
+      text: `SELECT ${name}($1::bigint) AS locked`,
+      values: [String(key)],
+    };
+  }
+
+  return {
+    text: `SELECT ${name}(${hashedKey}) AS locked`,
+    values: [hash(key)],
+  };
+}
+
+
+/**
+ * Acquires a session-level advisory lock on a client.
+ *
+ * @param {Client} client
+ * @param {String|Number} key
+ * @param {Object} options
+ * @param {Boolean} [options.wait] Wait for the lock when it is held
+ * elsewhere, rather than giving up at once.  Defaults to true.
+ * @param {Number} [options.timeout] Milliseconds to wait before giving up.
+ * Waits for as long as it takes by default.
+ * @param {Boolean} [options.shared] Take a shared lock, which other shared
+ * locks do not exclude.
+ *
+ * @return {Promise} Resolves to whether the lock was acquired.  If it
+ * rejects, lock_timeout, or even the lock, may be left on the client, which
+ * should then be destroyed rather than released to its pool.
+ */
+function acquire(client, key, options) {
+  const shared = options.shared === true;
+
+  if (options.wait === false || options.timeout === 0) {
+    return Promise.resolve(client.query(statement('try_advisory_lock', key,
+      shared)))
+      .then(result => result.rows[0].locked === true);
+  }
+
+  const lock = Promise.method(() => client.query(statement('advisory_lock',
+    key, shared)));
+
+  if (!elv(options.timeout)) return lock().return(true);
+
+  // lock_timeout bounds the wait, and is put back afterwards, since the
+  // client outlives the lock.
+  //
+  return Promise.resolve(client.query(
+    'SELECT current_setting(\'lock_timeout\') AS previous, ' +
+      'set_config(\'lock_timeout\', $1, false)',
+    [`${Math.ceil(options.timeout)}ms`]
+  ))
+    .then((result) => {
+      const previous = result.rows[0].previous;
+
+      return lock()
+        .return(true)
+        .catch((err) => {
+          if (err.code !== lockNotAvailable) throw err;
+          return false;
+        })
+        .finally(() => client.query(
+          'SELECT set_config(\'lock_timeout\', $1, false)',
+          [previous]
+        ));
+    });
+}
+
+
+/**
+ * Releases a session-level advisory lock on a client.
+ *
+ * @param {Client} client
+ * @param {String|Number} key
+ * @param {Boolean} [shared]
+ *
+ * @return {Promise}
+ */
+function release(client, key, shared) {
+  return Promise.resolve(client.query(statement('advisory_unlock', key,
+    shared === true)))
+    .return(undefined);
+}
+
+
+/**
+ * Runs fn while holding an advisory lock on the given client, and releases
+ * the lock afterwards, whether fn succeeds or not.  The client is never
+ * released.
+ *
+ * @param {Client} client
+ * @param {String|Number} key
+ * @param {Function} fn Given the client, and may return a Promise.
+ * @param {Object} options The options given to acquire().
+ * @param {Function} onUnlockError Called if releasing the lock fails, which
+ * usually means the connection is no longer usable.  The client should then
+ * be destroyed, which releases the lock.
+ *
+ * @return {Promise} Resolves to an object with the keys locked, which is
+ * false if the lock was not acquired and fn was not called, and result, the
+ * value returned by fn.
+ */
+function run(client, key, fn, options, onUnlockError) {
+  return acquire(client, key, options)
+    .then((locked) => {
+      if (!locked) return { locked };
+
+      const unlock = () => release(client, key, options.shared)
+        .catch(onUnlockError);
+
+      return Promise.try(() => fn(client))
+        .then(result => unlock().return({ locked, result }),
+          err => unlock().then(() => {
+            throw err;
+          }));
+    });
+}
+
+
+/**
+ * An advisory lock held on a client of its own, for as long as a process is
+ * the leader.  Emits "lost", with the error, if the connection drops, since
+ * the lock goes with it.
+ *
+ * @extends EventEmitter
+ *
+ * @param {Client} client
+ * @param {Function} done Releases the client, given an error to destroy it.
+ * @param {String|Number} key
+ * @param {Function} onEnd Called once the lock is released or lost.
+ *
+ * @property {String|Number} key
+ * @property {Boolean} held Whether the lock is still held.
+ */
+class Leadership extends EventEmitter {
+  constructor(client, done, key, onEnd) {
+    super();
+    this.key = key;
+    this.held = true;
+    this._client = client;
+    this._done = done;
+    this._onEnd = onEnd;
+    this._releasePromise = null;
+    this._onLost = (err) => {
+      this._lose((elv(err)) ? err : new Error(msg.connectionLost));
+    };
+
+    if (typeof client.on === 'function') {
+      client.on('error', this._onLost);
+      client.on('end', this._onLost);
+    }
+  }
+
+
+  /**
+   * Releases the lock, and gives the client back to its pool.  Calling it
+   * again, or after the lock was lost, does nothing.
+   *
+   * @param {Function} [callback]
+   *
+   * @return {Promise}
+   */
+  release(callback) {
+    if (this._releasePromise === null) {
+      this._releasePromise = (!this.held)
+        ? Promise.resolve()
+        : this._release();
+    }
+
+    return this._releasePromise
+      .then(() => {
+        if (elv(callback)) callback(null);
+      });
+  }
+
+
+  /**
+   * @private
+   */
+  _release() {
+    this.held = false;
+
+    return release(this._client, this.key)
+      .then(() => this._end(), err => this._end(err));
+  }
+
+
+  /**
+   * @private
+   */
+  _lose(err) {
+    if (!this.held) return;
+
+    this.held = false;
+    this._end(err);
+    this.emit('lost', err);
+  }
+
+
+  /**
+   * Gives the client back, destroying it if given an error.
+   *
+   * @private
+   */
+  _end(err) {
+    if (typeof this._client.removeListener === 'function') {
+      this._client.removeListener('error', this._onLost);
+      this._client.removeListener('end', this._onLost);
+    }
+
+    this._done(err);
+    this._onEnd(this);
+  }
+}
+
+
+/**
+ * @module locks
+ */
+module.exports = {
+  Leadership,
+  acquire,
+  assertKey,
+  assertOptions,
+  release,
+  run,
+};
@@ -0,0 +1,395 @@
+'use strict';
+
+const crypto = require('crypto');
+const elv = require('elv');
+const fs = require('fs');
+const path = require('path');
+const Promise = require('bluebird');
+
+const errors = require('./errors');
+const session = require('./session');
+const transaction = require('./transaction');
+
+const MigrationError = errors.MigrationError;
+
+
+const msg = {
+  changed: 'Applied migration has changed since it ran: ',
+  duplicate: 'More than one migration has the version ',
+  missing: 'Applied migration no longer has a file: ',
+  noDown: 'Migration cannot be rolled back, because it has no down: ',
+  noUp: 'JavaScript migration must export an up() function: ',
+  optCommand: 'Option "command" must be one of: ',
+  optDirectoryStr: 'Option "directory" must be a non-empty string',
+  optStepsInt: 'Option "steps" must be a positive integer',
+  optTableStr: 'Option "table" must be a table name, optionally qualified ' +
+    'by a schema name',
+  orphanDown: 'Down migration has no matching up migration: ',
+};
+
+
+const commands = [
+  'rollback',
+  'status',
+  'up',
+];
+
+
+const defaultTable = 'pgconnector_migrations';
+
+
+// Migration files are named <version>_<name>.sql, with an optional
+// <version>_<name>.down.sql, or <version>_<name>.js.  Anything else in the
+// directory is ignored.
+//
+const filePattern = /^(\d+)_(.+?)\.(down\.sql|sql|js)$/;
+
+
+const readdir = Promise.promisify(fs.readdir);
+const readFile = Promise.promisify(fs.readFile);
+
+
+function label(migration) {
+  return `${migration.version}_${migration.name}`;
+}
+
+
+function checksum(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+
+function sqlStep(text) {
+  return client => client.query(text);
+}
+
+
+function jsSteps(file) {
+  // eslint-disable-next-line global-require, import/no-dynamic-require
+  const mod = require(file);
+
+  if (!elv(mod) || typeof mod.up !== 'function') {
+    throw new MigrationError(msg.noUp + file, { file });
+  }
+
+  return {
+    up: client => mod.up(client),
+    down: (typeof mod.down === 'function') ? client => mod.down(client) : null,
+  };
+}
+
+
+function quoteTable(table) {
+  return table.split('.').map(session.quoteIdentifier).join('.');
+}
+
+
+/**
+ * Throws a TypeError if the given migration options are malformed.
+ *
+ * @param {Object} options
+ */
+function assertOptions(options) {
+  const directory = options.directory;
+  const table = options.table;
+
+  if (typeof directory !== 'string' || directory.length === 0) {
+    throw new TypeError(msg.optDirectoryStr);
+  }
+
+  if (elv(options.command) && commands.indexOf(options.command) === -1) {
+    throw new TypeError(msg.optCommand + commands.join(', '));
+  }
+
+  if (elv(options.steps)
+      && (!Number.isInteger(options.steps) || options.steps < 1)) {
+    throw new TypeError(msg.optStepsInt);
+  }
+
+  if (elv(table) && (typeof table !== 'string'
+      || !/^[^.]+(\.[^.]+)?$/.test(table))) {
+    throw new TypeError(msg.optTableStr);
+  }
+}
+
+
+/**
+ * Reads the migrations in a directory.  JavaScript migrations are required,
+ * and must export an up() function, and may export a down() function.  Each
+ * is given the client, and may return a Promise.
+ *
+ * @param {String} directory
+ *
+ * @return {Promise} Resolves to the migrations, ordered by version.  Each
+ * has the keys version, name, file, checksum, up and down.
+ */
+function load(directory) {
+  return readdir(directory)
+    .then((names) => {
+      const matched = names
+        .map(name => ({
+          file: path.resolve(directory, name),
+          match: filePattern.exec(name),
+        }))
+        .filter(entry => elv(entry.match));
+
+      return Promise.map(matched, entry => readFile(entry.file, 'utf8')
+        .then(text => Object.assign(entry, { text })));
+    })
+    .then((entries) => {
+      const byVersion = new Map();
+      const downs = [];
+
+      entries.forEach((entry) => {
+        const version = Number(entry.match[1]);
+        const kind = entry.match[3];
+
+        if (kind === 'down.sql') {
+          downs.push(entry);
+          return;
+        }
+
+        if (byVersion.has(version)) {
+          throw new MigrationError(msg.duplicate + version, {
+            version,
+            files: [byVersion.get(version).file, entry.file],
+          });
+        }
+
+        const steps = (kind === 'js')
+          ? jsSteps(entry.file)
+          : { up: sqlStep(entry.text), down: null };
+
+        byVersion.set(version, {
+          version,
+          name: entry.match[2],
+          file: entry.file,
+          checksum: checksum(entry.text),
+          up: steps.up,
+          down: steps.down,
+        });
+      });
+
+      downs.forEach((entry) => {
+        const migration = byVersion.get(Number(entry.match[1]));
+
+        if (!elv(migration) || migration.name !== entry.match[2]
+            || path.extname(migration.file) !== '.sql') {
+          throw new MigrationError(msg.orphanDown + entry.file, {
+            file: entry.file,
+          });
+        }
+
+        migration.down = sqlStep(entry.text);
+      });
+
+      return Array.from(byVersion.values())
+        .sort((a, b) => a.version - b.version);
+    });
+}
+
+
+/**
+ * Describes every migration, whether it has a file, has been applied, or
+ * both.
+ *
+ * @param {Array} migrations The output of load().
+ * @param {Array} applied The rows of the migrations table.
+ *
+ * @return {Array} Objects with the keys version, name, state and appliedAt,
+ * ordered by version.  The state is one of "applied", "changed" (applied,
+ * but the file no longer matches its checksum), "missing" (applied, but
+ * the file is gone) or "pending".
+ */
+function status(migrations, applied) {
+  const rows = new Map(applied.map(row => [row.version, row]));
+  const files = new Set(migrations.map(migration => migration.version));
+
+  const described = migrations.map((migration) => {
+    const row = rows.get(migration.version);
+    let state = 'pending';
+
+    if (elv(row)) {
+      state = (row.checksum === migration.checksum) ? 'applied' : 'changed';
+    }
+
+    return {
+      version: migration.version,
+      name: migration.name,
+      state,
+      appliedAt: (elv(row)) ? row.appliedAt : null,
+    };
+  });
+
+  applied
+    .filter(row => !files.has(row.version))
+    .forEach((row) => {
+      described.push({
+        version: row.version,
+        name: row.name,
+        state: 'missing',
+        appliedAt: row.appliedAt,
+      });
+    });
+
+  return described.sort((a, b) => a.version - b.version);
+}
+
+
+function verify(migrations, applied) {
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  applied.forEach((row) => {
+    const migration = byVersion.get(row.version);
+    const data = { version: row.version, name: row.name };
+
+    if (!elv(migration)) {
+      throw new MigrationError(msg.missing + label(row), data);
+    }
+
+    if (migration.checksum !== row.checksum) {
+      throw new MigrationError(msg.changed + label(row), data);
+    }
+  });
+
+  return byVersion;
+}
+
+
+function step(client, migration, fn, record, onStep) {
+  const started = Date.now();
+
+  return transaction.run(client, () => Promise.try(() => fn(client))
+    .then(() => client.query(record.text, record.values)), {})
+    .then(() => {
+      const result = { version: migration.version, name: migration.name };
+      onStep(Object.assign({ duration: Date.now() - started }, result));
+      return result;
+    });
+}
+
+
+/**
+ * Runs a migration command on a client, while holding an advisory lock keyed
+ * by the migrations table's name, so concurrent runners take turns.  The
+ * table is created if it does not exist.  Each migration runs in its own
+ * transaction, together with its row in the table.
+ *
+ * Before migrating up or rolling back, every applied migration must still
+ * have a file with the same checksum.
+ *
+ * @param {Client} client
+ * @param {Array} migrations The output of load().
+ * @param {Object} options
+ * @param {String} [options.command] "up" (the default), "rollback" or
+ * "status".
+ * @param {Number} [options.steps] How many migrations to roll back, 1 by
+ * default.
+ * @param {String} [options.table] The migrations table.
+ * @param {Function} [onStep] Called with the version, name, direction and
+ * duration of each migration once it is committed.
+ *
+ * @return {Promise} For "up" and "rollback", resolves to the version and
+ * name of each migration run, in the order they ran.  For "status",
+ * resolves to the output of status().
+ */
+function run(client, migrations, options, onStep) {
+  const command = elv.coalesce(options.command, 'up');
+  const tableName = elv.coalesce(options.table, defaultTable);
+  const table = quoteTable(tableName);
+  const notify = (elv(onStep)) ? onStep : () => {};
+  const unlock = () => client.query(
+    'SELECT pg_advisory_unlock(hashtext($1))',
+    [tableName]
+  );
+
+  const migrateUp = (applied) => {
+    const done = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(m => !done.has(m.version));
+
+    return Promise.mapSeries(pending, migration => step(
+      client,
+      migration,
+      migration.up,
+      {
+        text: `INSERT INTO ${table} (version, name, checksum) ` +
+          'VALUES ($1, $2, $3)',
+        values: [migration.version, migration.name, migration.checksum],
+      },
+      info => notify(Object.assign({ direction: 'up' }, info))
+    ));
+  };
+
+  const rollback = (applied, byVersion) => {
+    const count = elv.coalesce(options.steps, 1);
+    const targets = applied.slice(-count).reverse()
+      .map(row => byVersion.get(row.version));
+
+    targets.forEach((migration) => {
+      if (!elv(migration.down)) {
+        throw new MigrationError(msg.noDown + label(migration), {
+          version: migration.version,
+          name: migration.name,
+        });
+      }
+    });
+
+    return Promise.mapSeries(targets, migration => step(
+      client,
+      migration,
+      migration.down,
+      {
+        text: `DELETE FROM ${table} WHERE version = $1`,
+        values: [migration.version],
+      },
+      info => notify(Object.assign({ direction: 'down' }, info))
+    ));
+  };
+
+  return Promise.try(() => client.query(
+    'SELECT pg_advisory_lock(hashtext($1))',
+    [tableName]
+  ))
+    .then(() => client.query(`CREATE TABLE IF NOT EXISTS ${table} (` +
+      'version bigint PRIMARY KEY, ' +
+      'name text NOT NULL, ' +
+      'checksum text NOT NULL, ' +
+      'applied_at timestamptz NOT NULL DEFAULT now())'))
+    .then(() => client.query('SELECT version, name, checksum, applied_at ' +
+      `FROM ${table} ORDER BY version`))
+    .then((result) => {
+      const applied = result.rows.map(row => ({
+        version: Number(row.version),
+        name: row.name,
+        checksum: row.checksum,
+        appliedAt: row.applied_at,
+      }));
+
+      if (command === 'status') return status(migrations, applied);
+
+      const byVersion = verify(migrations, applied);
+
+      return (command === 'rollback')
+        ? rollback(applied, byVersion)
+        : migrateUp(applied);
+    })
+    .then(result => Promise.resolve(unlock()).return(result),
+      err => Promise.resolve(unlock())
+        .catch(() => {})
+        .then(() => {
+          throw err;
+        }));
+}
+
+
+/**
+ * @module migrations
+ */
+module.exports = {
+  assertOptions,
+  commands,
+  defaultTable,
+  load,
+  run,
+  status,
+};
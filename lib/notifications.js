@@ -0,0 +1,288 @@
+'use strict';
+
+const elv = require('elv');
+const Promise = require('bluebird');
+
+const retry = require('./retry');
+const session = require('./session');
+
+
+const msg = {
+  closed: 'Listener has been closed',
+  connectionEnded: 'Listening connection ended unexpectedly',
+};
+
+
+function endQuietly(client) {
+  return new Promise((resolve) => {
+    try {
+      client.end(() => resolve());
+    } catch (e) {
+      resolve();
+    }
+  });
+}
+
+
+function listen(channel) {
+  return `LISTEN ${session.quoteIdentifier(channel)}`;
+}
+
+
+function unlisten(channel) {
+  return `UNLISTEN ${session.quoteIdentifier(channel)}`;
+}
+
+
+function connect(client) {
+  return new Promise((resolve, reject) => {
+    client.connect((err) => {
+      if (elv(err)) reject(err);
+      else resolve();
+    });
+  });
+}
+
+
+/**
+ * Multiplexes subscriptions to many channels over one dedicated connection,
+ * which is opened by the first subscription and closed once the last one is
+ * gone.  If the connection is lost, it is reopened after a delay that backs
+ * off with each failed attempt, and every channel is listened to again.
+ *
+ * @param {Function} createClient Returns a new, unconnected client.
+ * @param {Object} policy A normalized retry policy, which sets the delays
+ * between attempts to reconnect.  Its attempts and retryable are ignored, as
+ * reconnecting goes on until the listener is closed.
+ * @param {Function} onEvent Given an object whose state is "connected", with
+ * the attempt that reconnected, or 0, or "reconnecting", with the attempt,
+ * the delay before it, and the error that lost the connection.
+ */
+class Listener {
+  constructor(createClient, policy, onEvent) {
+    this.closed = false;
+    this._createClient = createClient;
+    this._policy = policy;
+    this._onEvent = onEvent;
+    this._channels = new Map();
+    this._client = null;
+    this._opening = null;
+    this._timer = null;
+    this._attempt = 0;
+    this._queue = Promise.resolve();
+  }
+
+
+  /**
+   * The names of the channels listened to.
+   *
+   * @return {Array}
+   */
+  get channels() {
+    return Array.from(this._channels.keys());
+  }
+
+
+  /**
+   * Closes the connection, and drops every subscription.
+   *
+   * @return {Promise}
+   */
+  close() {
+    this.closed = true;
+    this._channels.clear();
+    return this._enqueue(() => this._shut());
+  }
+
+
+  /**
+   * Calls handler with every notification on a channel, listening to it
+   * first if no other handler is.
+   *
+   * @param {String} channel
+   * @param {Function} handler Given the notification.
+   *
+   * @return {Promise} Resolves once the channel is listened to.  While
+   * reconnecting, it resolves at once, and the channel is listened to once
+   * the connection is back.
+   */
+  subscribe(channel, handler) {
+    return this._enqueue(() => {
+      if (this.closed) throw new Error(msg.closed);
+
+      if (this._channels.has(channel)) {
+        this._channels.get(channel).add(handler);
+        return undefined;
+      }
+
+      this._channels.set(channel, new Set([handler]));
+
+      let listening;
+
+      if (elv(this._client)) {
+        listening = this._client.query(listen(channel));
+      } else if (elv(this._timer)) {
+        listening = Promise.resolve();
+      } else {
+        listening = this._open();
+      }
+
+      return Promise.resolve(listening)
+        .return(undefined)
+        .catch((err) => {
+          this._channels.delete(channel);
+          throw err;
+        });
+    });
+  }
+
+
+  /**
+   * Stops calling handler with the notifications on a channel.  Once a
+   * channel has no handlers left it is no longer listened to, and once no
+   * channel is, the connection is closed.
+   *
+   * @param {String} channel
+   * @param {Function} handler
+   *
+   * @return {Promise}
+   */
+  unsubscribe(channel, handler) {
+    return this._enqueue(() => {
+      const handlers = this._channels.get(channel);
+
+      if (!elv(handlers) || !handlers.delete(handler) || handlers.size > 0) {
+        return undefined;
+      }
+
+      this._channels.delete(channel);
+
+      if (this._channels.size === 0) return this._shut();
+      if (!elv(this._client)) return undefined;
+
+      // If the connection is lost, there is nothing left to UNLISTEN, and
+      // the channel is not listened to again when it comes back.
+      //
+      return Promise.resolve(this._client.query(unlisten(channel)))
+        .catch(() => {});
+    });
+  }
+
+
+  /**
+   * Runs changes to the subscriptions one after the other.
+   *
+   * @private
+   */
+  _enqueue(fn) {
+    const result = this._queue.then(fn);
+    this._queue = result.catch(() => {});
+    return result;
+  }
+
+
+  /**
+   * @private
+   */
+  _open() {
+    const client = this._createClient();
+
+    this._opening = client;
+
+    client.on('notification', (message) => {
+      if (client === this._client || client === this._opening) {
+        this._dispatch(message);
+      }
+    });
+    client.on('error', err => this._lost(client, err));
+    client.on('end', () => this._lost(client, new Error(msg.connectionEnded)));
+
+    return connect(client)
+      .then(() => Promise.each(this.channels, channel =>
+        client.query(listen(channel))))
+      .then(() => {
+        this._opening = null;
+        this._client = client;
+        this._onEvent({ state: 'connected', attempt: this._attempt });
+        this._attempt = 0;
+        return client;
+      }, (err) => {
+        this._opening = null;
+        endQuietly(client);
+        throw err;
+      });
+  }
+
+
+  /**
+   * @private
+   */
+  _lost(client, err) {
+    if (client !== this._client) return;
+
+    this._client = null;
+    endQuietly(client);
+
+    if (!this.closed && this._channels.size > 0) this._reconnect(err);
+  }
+
+
+  /**
+   * @private
+   */
+  _reconnect(err) {
+    this._attempt++;
+
+    const wait = retry.delay(this._policy, this._attempt);
+
+    this._onEvent({
+      state: 'reconnecting',
+      attempt: this._attempt,
+      delay: wait,
+      error: err,
+    });
+
+    this._timer = setTimeout(() => {
+      this._enqueue(() => {
+        this._timer = null;
+        if (this.closed || this._channels.size === 0) return undefined;
+
+        return this._open().catch(e => this._reconnect(e));
+      });
+    }, wait);
+  }
+
+
+  /**
+   * @private
+   */
+  _shut() {
+    const client = this._client;
+
+    if (elv(this._timer)) clearTimeout(this._timer);
+    this._timer = null;
+    this._client = null;
+    this._attempt = 0;
+
+    return (elv(client)) ? endQuietly(client) : Promise.resolve();
+  }
+
+
+  /**
+   * @private
+   */
+  _dispatch(message) {
+    const handlers = this._channels.get(message.channel);
+    if (!elv(handlers)) return;
+
+    handlers.forEach(handler => handler(message));
+  }
+}
+
+
+/**
+ * @module notifications
+ */
+module.exports = {
+  Listener,
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+const elv = require('elv');
+const Promise = require('bluebird');
+
+
+const msg = {
+  argPlugin: 'Argument "plugin" must be an object with at least one hook: ',
+  hookFn: 'Plugin hooks must be functions, but this one is not: ',
+  queryResult: 'Hook "beforeQuery" must return nothing, a query text, or a ' +
+    'query config object with a "text" string',
+};
+
+
+const hooks = [
+  'afterConnect',
+  'afterQuery',
+  'beforeConnect',
+  'beforeQuery',
+  'beforeRelease',
+  'onError',
+];
+
+
+/**
+ * Throws a TypeError if the given plugin is malformed.
+ *
+ * @param {*} plugin
+ */
+function assert(plugin) {
+  if (!elv(plugin) || typeof plugin !== 'object' || Array.isArray(plugin)
+      || !hooks.some(hook => elv(plugin[hook]))) {
+    throw new TypeError(msg.argPlugin + hooks.join(', '));
+  }
+
+  hooks.forEach((hook) => {
+    if (elv(plugin[hook]) && typeof plugin[hook] !== 'function') {
+      throw new TypeError(msg.hookFn + hook);
+    }
+  });
+}
+
+
+function withHook(plugins, hook) {
+  return plugins.filter(plugin => typeof plugin[hook] === 'function');
+}
+
+
+/**
+ * Calls a hook of each plugin that has it, one after the other, in the order
+ * the plugins were registered.
+ *
+ * @param {Array} plugins
+ * @param {String} hook
+ * @param {Object} context Given to each hook.
+ *
+ * @return {Promise} Rejects with the first error a hook throws.
+ */
+function run(plugins, hook, context) {
+  return Promise.each(
+    withHook(plugins, hook),
+    plugin => plugin[hook](context)
+  ).return(undefined);
+}
+
+
+/**
+ * Calls the onError hook of each plugin with the error in context.error.  A
+ * hook may throw a different error to replace it for the hooks after it, and
+ * for the caller.
+ *
+ * @param {Array} plugins
+ * @param {Object} context
+ *
+ * @return {Promise} Always rejects, with the error the hooks leave behind.
+ */
+function fail(plugins, context) {
+  return Promise.each(withHook(plugins, 'onError'), plugin => Promise
+    .try(() => plugin.onError(context))
+    .catch((replaced) => {
+      context.error = replaced;
+    }))
+    .then(() => {
+      throw context.error;
+    });
+}
+
+
+function runBeforeQuery(plugins, context) {
+  return Promise.each(withHook(plugins, 'beforeQuery'), plugin => Promise
+    .try(() => plugin.beforeQuery(context))
+    .then((replaced) => {
+      if (!elv(replaced)) return;
+
+      if (typeof replaced === 'string') {
+        context.query = Object.assign({}, context.query, { text: replaced });
+      } else if (typeof replaced === 'object'
+                 && typeof replaced.text === 'string') {
+        context.query = replaced;
+      } else {
+        throw new TypeError(msg.queryResult);
+      }
+    }));
+}
+
+
+// Collects the arguments given to a client's query() method into one query
+// config object, the way pg does.
+//
+function toConfig(args) {
+  const first = args[0];
+  const values = (Array.isArray(args[1])) ? { values: args[1] } : {};
+
+  if (elv(first) && typeof first === 'object') {
+    return Object.assign({}, first, values);
+  }
+
+  return Object.assign({ text: first }, values);
+}
+
+
+/**
+ * Wraps a client's query() method in the beforeQuery, afterQuery and onError
+ * hooks.  Each query gets its own copy of the context, with the query config
+ * object in context.query, and the result in context.result once it has
+ * one.  Queries reach the client in the order they were made, even when
+ * beforeQuery hooks take a while, and submittables, such as cursors, are
+ * passed straight through once those before them have been.
+ *
+ * @param {Function} query The method to wrap.
+ * @param {Client} client
+ * @param {Array} plugins
+ * @param {Object} context
+ *
+ * @return {Function} Returns a Promise, unless given a callback.
+ */
+function wrapQuery(query, client, plugins, context) {
+  let sending = Promise.resolve();
+  let waiting = 0;
+
+  // Runs send once every query made before it has been sent.
+  //
+  const enqueue = (send) => {
+    waiting++;
+
+    const sent = sending.then(send).finally(() => {
+      waiting--;
+    });
+
+    sending = sent.reflect();
+    return sent;
+  };
+
+  return function hookedQuery(...args) {
+    const first = args[0];
+
+    if (elv(first) && typeof first.submit === 'function') {
+      if (waiting === 0) return query.apply(client, args);
+
+      enqueue(() => {
+        query.apply(client, args);
+      });
+      return first;
+    }
+
+    const last = args[args.length - 1];
+    const cbfn = (typeof last === 'function') ? last : null;
+    const queryArgs = (elv(cbfn)) ? args.slice(0, -1) : args;
+    const queryContext = Object.assign({}, context, {
+      query: toConfig(queryArgs),
+    });
+
+    // The query's Promise is wrapped, so the queries after it wait for it to
+    // be sent, not for it to finish.
+    //
+    const result = enqueue(() => runBeforeQuery(plugins, queryContext)
+      .then(() => ({ pending: query.call(client, queryContext.query) })))
+      .then(sent => sent.pending)
+      .then((res) => {
+        queryContext.result = res;
+
+        return run(plugins, 'afterQuery', queryContext)
+          .catch(err => fail(plugins, Object.assign(queryContext, {
+            error: err,
+            phase: 'afterQuery',
+          })))
+          .return(res);
+      }, err => fail(plugins, Object.assign(queryContext, {
+        error: err,
+        phase: 'query',
+      })));
+
+    if (!elv(cbfn)) return result;
+
+    // asCallback() calls back outside the chain, so an error thrown by the
+    // callback is not turned into an unhandled rejection.
+    //
+    result.asCallback(cbfn);
+    return undefined;
+  };
+}
+
+
+/**
+ * @module plugins
+ */
+module.exports = {
+  assert,
+  fail,
+  hooks,
+  run,
+  wrapQuery,
+};
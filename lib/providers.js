@@ -0,0 +1,309 @@
+'use strict';
+
+const elv = require('elv');
+const fs = require('fs');
+const path = require('path');
+
+const errors = require('./errors');
+const schema = require('./schema');
+
+const ConfigurationError = errors.ConfigurationError;
+
+
+const msg = {
+  argFileStr: 'Argument "filePath" must be a non-empty string',
+  argOptionsPojo: 'Argument "options" must be an object',
+  fileParse: 'Could not parse configuration file: ',
+  filePojo: 'Configuration file must contain an object: ',
+  fileRead: 'Could not read configuration file: ',
+  fileSection: 'Configuration file key must be an object: ',
+  yamlMissing: 'Reading YAML configuration files requires the "js-yaml" ' +
+    'package: ',
+};
+
+
+const defaultPrefix = 'PG_';
+const defaultUrlVariable = 'DATABASE_URL';
+const defaultUrlDatabase = 'primary';
+
+
+// Option types whose environment variable values are converted to numbers or
+// booleans.
+//
+const numberTypes = new Set([
+  'nonNegativeNumber',
+  'port',
+  'positiveInteger',
+]);
+
+const booleanTypes = new Set([
+  'boolean',
+  'booleanOrObject',
+]);
+
+
+// Environment variable suffixes are matched against option names with
+// underscores removed, so both IDLE_TIMEOUT_MILLIS and STATEMENT_TIMEOUT
+// find their option.
+//
+function optionKey(name) {
+  return name.replace(/_/g, '').toUpperCase();
+}
+
+
+const envOptions = new Map();
+
+Object.keys(schema.poolOptions).forEach((key) => {
+  envOptions.set(optionKey(key), { key, type: schema.poolOptions[key] });
+});
+envOptions.set(optionKey('balance'), { key: 'balance', type: 'string' });
+envOptions.set(optionKey('replicaCooldownMillis'), {
+  key: 'replicaCooldownMillis',
+  type: 'nonNegativeNumber',
+});
+
+
+function coerce(type, value) {
+  if (numberTypes.has(type) && /^[0-9]+(\.[0-9]+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  if (booleanTypes.has(type) && /^(true|false)$/i.test(value)) {
+    return value.toLowerCase() === 'true';
+  }
+
+  return value;
+}
+
+
+function isPojo(value) {
+  return elv(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+
+function assertOptions(options) {
+  if (elv(options) && !isPojo(options)) {
+    throw new TypeError(msg.argOptionsPojo);
+  }
+}
+
+
+/**
+ * Splits the part of a variable name after PG_DATABASES_ into a database
+ * name and an option.  Database names may contain underscores, so the
+ * shortest name that leaves a known option wins.
+ */
+function splitDatabaseVariable(rest) {
+  const parts = rest.split('_');
+
+  for (let i = 1; i < parts.length; i++) {
+    const option = envOptions.get(optionKey(parts.slice(i).join('_')));
+
+    if (elv(option)) {
+      return {
+        name: parts.slice(0, i).join('_').toLowerCase(),
+        option,
+      };
+    }
+  }
+
+  return null;
+}
+
+
+function readEnv(variables, options) {
+  const prefix = elv.coalesce(options.prefix, defaultPrefix);
+  const databasesPrefix = `${prefix}DATABASES_`;
+  const reposPrefix = `${prefix}REPOSITORIES_`;
+  const urlVariable = elv.coalesce(options.url, defaultUrlVariable);
+  const fragment = {};
+
+  const section = (name) => {
+    if (!elv(fragment[name])) fragment[name] = {};
+    return fragment[name];
+  };
+
+  if (urlVariable !== false && elv(variables[urlVariable])) {
+    const name = elv.coalesce(options.urlDatabase, defaultUrlDatabase);
+    section('databases')[name] = { connectionString: variables[urlVariable] };
+  }
+
+  Object.keys(variables).sort().forEach((variable) => {
+    const value = variables[variable];
+
+    if (variable.startsWith(reposPrefix)) {
+      const name = variable.slice(reposPrefix.length).toLowerCase();
+      section('repositories')[name] = value;
+      return;
+    }
+
+    if (!variable.startsWith(databasesPrefix)) return;
+
+    const split = splitDatabaseVariable(variable.slice(databasesPrefix.length));
+
+    // A variable that names no known option is passed on as a key of its
+    // own, so it is warned about like any other unknown key.  Its value may
+    // be a secret, and is left out.
+    //
+    if (!elv(split)) {
+      fragment[variable] = null;
+      return;
+    }
+
+    const databases = section('databases');
+    const option = split.option;
+
+    if (!elv(databases[split.name])) databases[split.name] = {};
+    databases[split.name][option.key] = coerce(option.type, value);
+  });
+
+  return fragment;
+}
+
+
+/**
+ * Creates a Kibbutz provider that reads configuration from environment
+ * variables.  PG_DATABASES_<NAME>_<OPTION> sets an option of a database, such
+ * as PG_DATABASES_PRIMARY_HOST or PG_DATABASES_PRIMARY_IDLE_TIMEOUT_MILLIS,
+ * and PG_REPOSITORIES_<NAME> maps a repository to a database.  DATABASE_URL
+ * is used as the connection string of the "primary" database.  Names are
+ * lower-cased.  Variables that name no known option become unknown keys.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.env] Defaults to process.env.
+ * @param {String} [options.prefix] Defaults to "PG_".
+ * @param {String|Boolean} [options.url] The variable holding a connection
+ * string, or false to ignore it.  Defaults to "DATABASE_URL".
+ * @param {String} [options.urlDatabase] The database the connection string
+ * configures.  Defaults to "primary".
+ *
+ * @return {Object} A Kibbutz provider.
+ */
+function env(options) {
+  assertOptions(options);
+  const settings = elv.coalesce(options, {});
+
+  return {
+    load: (callback) => {
+      let fragment;
+
+      try {
+        fragment = readEnv(elv.coalesce(settings.env, process.env), settings);
+      } catch (err) {
+        setImmediate(callback, err);
+        return;
+      }
+
+      setImmediate(callback, null, fragment);
+    },
+  };
+}
+
+
+function parseYaml(text, filePath) {
+  let yaml;
+
+  try {
+    // eslint-disable-next-line global-require
+    yaml = require('js-yaml');
+  } catch (err) {
+    throw new ConfigurationError(msg.yamlMissing + filePath, {
+      file: filePath,
+    });
+  }
+
+  // The core schema only builds plain values, unlike the default schema of
+  // older js-yaml versions.
+  //
+  return yaml.load(text, { schema: yaml.CORE_SCHEMA });
+}
+
+
+function parseFile(text, filePath, parse) {
+  let value;
+
+  try {
+    if (elv(parse)) value = parse(text);
+    else if (/\.ya?ml$/i.test(filePath)) value = parseYaml(text, filePath);
+    else value = JSON.parse(text);
+  } catch (err) {
+    if (err instanceof ConfigurationError) throw err;
+    throw new ConfigurationError(msg.fileParse + filePath, {
+      file: filePath,
+      error: err.message,
+    });
+  }
+
+  if (!isPojo(value)) {
+    throw new ConfigurationError(msg.filePojo + filePath, { file: filePath });
+  }
+
+  ['databases', 'repositories'].forEach((key) => {
+    if (elv(value[key]) && !isPojo(value[key])) {
+      throw new ConfigurationError(msg.fileSection + key, {
+        file: filePath,
+        key,
+      });
+    }
+  });
+
+  return value;
+}
+
+
+/**
+ * Creates a Kibbutz provider that reads configuration from a JSON or YAML
+ * file.  The file is read again each time it is loaded, and its "file" key
+ * lets Connector.prototype.watch() pick it up.
+ *
+ * @param {String} filePath The path to the file.  Files ending in ".yaml" or
+ * ".yml" are parsed as YAML, which requires the "js-yaml" package.
+ * @param {Object} [options]
+ * @param {Function} [options.parse] Parses the file's text instead.
+ *
+ * @return {Object} A Kibbutz provider.
+ */
+function file(filePath, options) {
+  if (typeof filePath !== 'string' || filePath.length === 0) {
+    throw new TypeError(msg.argFileStr);
+  }
+
+  assertOptions(options);
+  const settings = elv.coalesce(options, {});
+  const resolved = path.resolve(filePath);
+
+  return {
+    file: resolved,
+    load: (callback) => {
+      fs.readFile(resolved, 'utf8', (readErr, text) => {
+        if (elv(readErr)) {
+          callback(new ConfigurationError(msg.fileRead + resolved, {
+            file: resolved,
+            error: readErr.message,
+          }));
+          return;
+        }
+
+        let value;
+
+        try {
+          value = parseFile(text, resolved, settings.parse);
+        } catch (err) {
+          callback(err);
+          return;
+        }
+
+        callback(null, value);
+      });
+    },
+  };
+}
+
+
+/**
+ * @module providers
+ */
+module.exports = {
+  env,
+  file,
+};
@@ -0,0 +1,179 @@
+'use strict';
+
+const elv = require('elv');
+const Promise = require('bluebird');
+
+
+const msg = {
+  attempts: 'Retry "attempts" must be a positive integer',
+  baseDelay: 'Retry "baseDelay" must be a non-negative number',
+  jitter: 'Retry "jitter" must be a number between 0 and 1',
+  maxDelay: 'Retry "maxDelay" must be a non-negative number',
+  policy: 'Retry policy must be an object',
+  retryable: 'Retry "retryable" must be a function',
+};
+
+
+const defaults = {
+  attempts: 3,
+  baseDelay: 100,
+  maxDelay: 2000,
+  jitter: 0.2,
+};
+
+
+// Errors that mean the server could not be reached, or is not accepting
+// connections yet.  57P03 is "cannot_connect_now", raised while a server is
+// starting up or recovering.
+//
+const retryableCodes = new Set([
+  '57P03',
+  '53300',
+  '08001',
+  '08006',
+  'ECONNREFUSED',
+  'ECONNRESET',
+  'ETIMEDOUT',
+  'EPIPE',
+]);
+
+
+const retryableMessage = new RegExp([
+  'timeout exceeded when trying to connect',
+  'Connection terminated',
+].join('|'));
+
+
+/**
+ * The default predicate used to decide whether a failed connection attempt
+ * should be tried again.
+ *
+ * @param {Error} err
+ *
+ * @return {Boolean}
+ */
+function isRetryable(err) {
+  if (!elv(err)) return false;
+  if (retryableCodes.has(err.code)) return true;
+  return typeof err.message === 'string' && retryableMessage.test(err.message);
+}
+
+
+function isNonNegative(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+
+/**
+ * Checks a retry policy.
+ *
+ * @param {*} policy
+ *
+ * @return {String|null} A description of the problem, or null if the policy
+ * is valid.
+ */
+function validate(policy) {
+  if (!elv(policy) || typeof policy !== 'object' || Array.isArray(policy)) {
+    return msg.policy;
+  }
+
+  if (elv(policy.attempts)
+      && (!Number.isInteger(policy.attempts) || policy.attempts < 1)) {
+    return msg.attempts;
+  }
+
+  if (elv(policy.baseDelay) && !isNonNegative(policy.baseDelay)) {
+    return msg.baseDelay;
+  }
+
+  if (elv(policy.maxDelay) && !isNonNegative(policy.maxDelay)) {
+    return msg.maxDelay;
+  }
+
+  if (elv(policy.jitter)
+      && (!isNonNegative(policy.jitter) || policy.jitter > 1)) {
+    return msg.jitter;
+  }
+
+  if (elv(policy.retryable) && typeof policy.retryable !== 'function') {
+    return msg.retryable;
+  }
+
+  return null;
+}
+
+
+/**
+ * Fills in the defaults of a valid retry policy.
+ *
+ * @param {Object} policy
+ *
+ * @return {Object}
+ */
+function normalize(policy) {
+  return {
+    attempts: elv.coalesce(policy.attempts, defaults.attempts),
+    baseDelay: elv.coalesce(policy.baseDelay, defaults.baseDelay),
+    maxDelay: elv.coalesce(policy.maxDelay, defaults.maxDelay),
+    jitter: elv.coalesce(policy.jitter, defaults.jitter),
+    retryable: (elv(policy.retryable)) ? policy.retryable : isRetryable,
+  };
+}
+
+
+/**
+ * Gets how long to wait before the next attempt.  The delay doubles with
+ * each attempt up to maxDelay, and is then reduced by a random fraction of up
+ * to jitter.
+ *
+ * @param {Object} policy A normalized policy.
+ * @param {Number} attempt The number of the attempt that just failed.
+ *
+ * @return {Number} Milliseconds.
+ */
+function delay(policy, attempt) {
+  const exponential = policy.baseDelay * Math.pow(2, attempt - 1);
+  const capped = Math.min(policy.maxDelay, exponential);
+  return Math.round(capped * (1 - (policy.jitter * Math.random())));
+}
+
+
+/**
+ * Calls fn until the Promise it returns is resolved, or the policy gives up.
+ *
+ * @param {Function} fn Returns a Promise.
+ * @param {Object|null} policy A normalized policy.  When null, fn is only
+ * called once.
+ * @param {Function} [onRetry] Called with the error, the number of the
+ * attempt that failed, and the delay before the next one.
+ *
+ * @return {Promise}
+ */
+function run(fn, policy, onRetry) {
+  const attempt = n => Promise.try(fn)
+    .catch((err) => {
+      if (!elv(policy) || n >= policy.attempts || !policy.retryable(err)) {
+        throw err;
+      }
+
+      const wait = delay(policy, n);
+      if (elv(onRetry)) onRetry(err, n, wait);
+
+      return Promise.delay(wait).then(() => attempt(n + 1));
+    });
+
+  return attempt(1);
+}
+
+
+/**
+ * @module retry
+ */
+module.exports = {
+  defaults,
+  delay,
+  isRetryable,
+  normalize,
+  run,
+  validate,
+};
@@ -0,0 +1,254 @@
+'use strict';
+
+const elv = require('elv');
+const Promise = require('bluebird');
+
+const transaction = require('./transaction');
+
+
+const msg = {
+  ended: 'Sandbox has ended, and its transactions have been rolled back',
+};
+
+
+// Rejects the promise a sandbox's transaction waits on, which rolls it back.
+//
+const rolledBack = new Error('Sandbox rolled back');
+
+
+/**
+ * Opens a managed transaction on a client, which stays open until the
+ * returned rollback() is called.
+ *
+ * @private
+ */
+function open(client) {
+  let release;
+  let opened;
+  let rollbackErr = null;
+
+  const held = new Promise((resolve, reject) => {
+    release = () => reject(rolledBack);
+  });
+  const ready = new Promise((resolve) => {
+    opened = resolve;
+  });
+
+  const finished = transaction.run(client, () => {
+    opened();
+    return held;
+  }, {}, (err) => {
+    rollbackErr = err;
+  })
+    .catch((err) => {
+      if (err !== rolledBack) throw err;
+      if (elv(rollbackErr)) throw rollbackErr;
+    });
+
+  return Promise.race([ready, finished])
+    .then(() => ({
+      rollback: () => {
+        release();
+        return finished;
+      },
+    }));
+}
+
+
+/**
+ * Pins one client of each pool it is asked for, inside a transaction that is
+ * rolled back when the sandbox ends.  Clients are pinned on first use, and
+ * handed out as stand-ins that share the pinned client's connection and
+ * transaction, so transactions run on them become savepoints.  Stand-ins are
+ * handed out right away, even while others are checked out, so code that
+ * checks out a client while holding one does not wait on itself.
+ *
+ * @param {Function} onEnd Called once the sandbox has ended.
+ */
+class Sandbox {
+  constructor(onEnd) {
+    this.ended = false;
+    this._onEnd = onEnd;
+    this._pins = new Map();
+    this._pools = new Map();
+    this._endPromise = null;
+  }
+
+
+  /**
+   * Checks a stand-in for the pool's pinned client out.
+   *
+   * @param {Pool} pool
+   *
+   * @return {Promise} Resolves to an object with the keys client and done,
+   * like the arguments pg's Pool#connect() gives its callback.
+   */
+  acquire(pool) {
+    return this._pin(pool)
+      .then(pin => ({
+        client: this._standIn(pin.client),
+        done: () => {},
+      }));
+  }
+
+
+  /**
+   * Rolls back every pinned client's transaction, and gives the clients back
+   * to their pools.  Calling end() more than once returns the same Promise.
+   *
+   * @param {Function} [callback]
+   *
+   * @return {Promise} Rejects with the first error rolling back, once every
+   * client has been given back.
+   */
+  end(callback) {
+    return this._end()
+      .then(() => {
+        if (elv(callback)) callback(null);
+      }, (err) => {
+        if (elv(callback)) callback(err);
+        throw err;
+      });
+  }
+
+
+  /**
+   * Gets a stand-in for a pool, whose clients are stand-ins for its pinned
+   * client, and which cannot be ended.
+   *
+   * @param {Pool} pool
+   *
+   * @return {Object}
+   */
+  pool(pool) {
+    if (this._pools.has(pool)) return this._pools.get(pool);
+
+    const self = this;
+    const standIn = {
+      totalCount: 1,
+      idleCount: 0,
+      waitingCount: 0,
+
+      connect(callback) {
+        const checkout = self.acquire(pool).then((acquired) => {
+          acquired.client.release = acquired.done;
+          return acquired.client;
+        });
+
+        if (!elv(callback)) return checkout;
+
+        checkout.then(client => callback(null, client, client.release),
+          err => callback(err));
+        return undefined;
+      },
+
+      query(...args) {
+        return self.acquire(pool)
+          .then(acquired => acquired.client.query(...args));
+      },
+
+      end(callback) {
+        if (elv(callback)) setImmediate(callback);
+        return Promise.resolve();
+      },
+
+      on() {
+        return standIn;
+      },
+    };
+
+    this._pools.set(pool, standIn);
+    return standIn;
+  }
+
+
+  /**
+   * @private
+   */
+  _end() {
+    if (this._endPromise !== null) return this._endPromise;
+    this.ended = true;
+
+    const pins = Array.from(this._pins.values());
+
+    this._endPromise = Promise.all(pins.map(pinning => pinning
+      .reflect()
+      .then((inspection) => {
+        if (!inspection.isFulfilled()) return undefined;
+
+        const pin = inspection.value();
+
+        return pin.transaction.rollback()
+          .then(() => pin.done(), (err) => {
+            pin.done(err);
+            throw err;
+          });
+      })
+      .reflect()))
+      .then((inspections) => {
+        this._onEnd();
+
+        const failed = inspections.filter(result => result.isRejected());
+        if (failed.length > 0) throw failed[0].reason();
+      });
+
+    return this._endPromise;
+  }
+
+
+  /**
+   * @private
+   */
+  _pin(pool) {
+    if (this.ended) return Promise.reject(new Error(msg.ended));
+    if (this._pins.has(pool)) return this._pins.get(pool);
+
+    const pinning = new Promise((resolve, reject) => {
+      pool.connect((err, client, done) => {
+        if (elv(err)) reject(err);
+        else resolve({ client, done });
+      });
+    })
+      .then(checkout => open(checkout.client)
+        .then(opened => Object.assign(checkout, {
+          transaction: opened,
+        }), (err) => {
+          checkout.done(err);
+          throw err;
+        }));
+
+    // A pool that could not be pinned is tried again next time.
+    //
+    pinning.catch(() => {
+      if (this._pins.get(pool) === pinning) this._pins.delete(pool);
+    });
+
+    this._pins.set(pool, pinning);
+    return pinning;
+  }
+
+
+  /**
+   * @private
+   */
+  _standIn(client) {
+    const self = this;
+    const standIn = Object.create(client);
+
+    standIn.query = function sandboxedQuery(...args) {
+      if (self.ended) throw new Error(msg.ended);
+      return client.query(...args);
+    };
+
+    transaction.share(standIn, client);
+    return standIn;
+  }
+}
+
+
+/**
+ * @module sandbox
+ */
+module.exports = {
+  Sandbox,
+};
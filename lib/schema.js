@@ -0,0 +1,593 @@
+'use strict';
+
+const elv = require('elv');
+
+const breaker = require('./breaker');
+const connection = require('./connection');
+const errors = require('./errors');
+const retry = require('./retry');
+const secrets = require('./secrets');
+const session = require('./session');
+const sharding = require('./sharding');
+
+const ConfigurationError = errors.ConfigurationError;
+
+
+const msg = {
+  balance: 'Must be "round-robin" or "least-busy"',
+  confPojo: 'Configuration must be an object',
+  databasePojo: 'Database entries must be connection strings or objects',
+  databasesPojo: 'Configuration "databases" must be an object',
+  hostRequired: 'Databases require a "host" key',
+  noDatabases: 'Configuration does not contain any "databases"',
+  noRepositories: 'Configuration does not contain any "repositories"',
+  problems: 'Invalid configuration: ',
+  replicaPojo: 'Replica entries must be connection strings or objects',
+  replicasArray: 'Database "replicas" must be an array',
+  repoDatabase: 'Repository objects require a "database" key that is a ' +
+    'non-empty string, or "shards"',
+  repoMapping: 'Repository is mapped to a missing database: ',
+  repoStr: 'Repositories must be non-empty strings, or objects',
+  shardsOnly: 'Cannot be used by repositories with "shards"',
+  shardsRequired: 'Can only be used by repositories with "shards"',
+  reposPojo: 'Configuration "repositories" must be an object',
+  tenantPojo: 'Tenant entries must be connection strings or objects',
+  tenants: 'Repository "tenants" must be an object or a function',
+  unknownKey: 'Unknown key',
+};
+
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+
+function isObject(value) {
+  return elv(value)
+         && typeof value === 'object'
+         && !Array.isArray(value)
+         && !(value instanceof Date);
+}
+
+
+// Entries built in code, rather than parsed from JSON, may be instances of
+// classes, whose keys pg would never see.
+//
+function isPlainObject(value) {
+  if (!isObject(value)) return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+
+function isNonNegative(value) {
+  return typeof value === 'number' && value >= 0;
+}
+
+
+// The checks applied to option values, and how a failure is described.
+//
+const types = {
+  boolean: {
+    test: value => typeof value === 'boolean',
+    message: 'Must be a boolean',
+  },
+  booleanOrObject: {
+    test: value => typeof value === 'boolean' || isObject(value),
+    message: 'Must be a boolean or an object',
+  },
+  function: {
+    test: value => typeof value === 'function',
+    message: 'Must be a function',
+  },
+  nonNegativeNumber: {
+    test: isNonNegative,
+    message: 'Must be a non-negative number',
+  },
+  object: {
+    test: isObject,
+    message: 'Must be an object',
+  },
+  objectOrFunction: {
+    test: value => isObject(value) || typeof value === 'function',
+    message: 'Must be an object or a function',
+  },
+  port: {
+    test: value => (Number.isInteger(value) && value > 0 && value < 65536)
+                   || (typeof value === 'string' && /^[0-9]{1,5}$/.test(value)),
+    message: 'Must be a port number between 1 and 65535',
+  },
+  positiveInteger: {
+    test: value => Number.isInteger(value) && value > 0,
+    message: 'Must be a positive integer',
+  },
+  string: {
+    test: isNonEmptyString,
+    message: 'Must be a non-empty string',
+  },
+  stringOrFunction: {
+    test: value => typeof value === 'string' || typeof value === 'function',
+    message: 'Must be a string or a function',
+  },
+};
+
+
+// The options understood by pg 7's Pool, and the Clients it creates.  Newer
+// options, such as "min" or "maxUses", are ignored by these versions, so
+// they are reported as unknown keys rather than accepted.
+//
+const poolOptions = {
+  application_name: 'string',
+  binary: 'boolean',
+  Client: 'function',
+  client_encoding: 'string',
+  connectionString: 'string',
+  connectionTimeoutMillis: 'nonNegativeNumber',
+  database: 'string',
+  fallback_application_name: 'string',
+  host: 'string',
+  idle_in_transaction_session_timeout: 'nonNegativeNumber',
+  idleTimeoutMillis: 'nonNegativeNumber',
+  keepAlive: 'boolean',
+  keepAliveInitialDelayMillis: 'nonNegativeNumber',
+  log: 'function',
+  max: 'positiveInteger',
+  parseInputDatesAsUTC: 'boolean',
+  password: 'stringOrFunction',
+  port: 'port',
+  Promise: 'function',
+  query_timeout: 'nonNegativeNumber',
+  ssl: 'booleanOrObject',
+  statement_timeout: 'nonNegativeNumber',
+  stream: 'objectOrFunction',
+  types: 'object',
+  user: 'string',
+};
+
+
+const balancers = new Set([
+  'round-robin',
+  'least-busy',
+]);
+
+
+const repositoryKeys = new Set([
+  'database',
+  'maxTenantPools',
+  'ranges',
+  'retry',
+  'schema',
+  'settings',
+  'shards',
+  'strategy',
+  'tenants',
+]);
+
+
+const topLevelKeys = new Set([
+  'databases',
+  'repositories',
+]);
+
+
+function has(obj, key) {
+  return Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+
+/**
+ * Collects problems found in a configuration, each with the path to the
+ * offending value.  Warnings, such as unknown keys, are marked as such, and
+ * do not make a configuration invalid.
+ */
+class Problems {
+  constructor() {
+    this.list = [];
+  }
+
+
+  add(path, message, value) {
+    this.list.push({ path, message, value });
+  }
+
+
+  warn(path, message, value) {
+    this.list.push({ path, message, value, warning: true });
+  }
+
+
+  // An unknown key may be a misspelt secret, such as "pasword", so its value
+  // is redacted.
+  //
+  unknownKey(path) {
+    this.warn(path, msg.unknownKey, secrets.redacted);
+  }
+
+
+  check(path, typeName, value) {
+    const type = types[typeName];
+    if (!type.test(value)) this.add(path, type.message, value);
+  }
+}
+
+
+function checkPoolOptions(problems, path, conf, extraKeys, hasResolver) {
+  Object.keys(conf).forEach((key) => {
+    const value = conf[key];
+    const keyPath = `${path}.${key}`;
+
+    if (has(poolOptions, key) && secrets.isReference(value)) {
+      const problem = secrets.validate(value, key, hasResolver);
+      if (elv(problem)) problems.add(keyPath, problem, value);
+    } else if (has(poolOptions, key)) {
+      const type = types[poolOptions[key]];
+
+      if (elv(value) && !type.test(value)) {
+        problems.add(keyPath, type.message, secrets.redactValue(key, value));
+      }
+    } else if (!extraKeys.has(key)) {
+      problems.unknownKey(keyPath);
+    }
+  });
+}
+
+
+function checkPolicy(problems, path, value, validate) {
+  if (!elv(value)) return;
+
+  const problem = validate(value);
+  if (elv(problem)) problems.add(path, problem, value);
+}
+
+
+// Parses the connection string of a database or replica entry, if it has
+// one, and records why if that fails.
+//
+function expandEntry(problems, path, entry) {
+  const isString = typeof entry === 'string';
+
+  try {
+    return connection.expand(entry);
+  } catch (err) {
+    if (!(err instanceof ConfigurationError)) throw err;
+
+    problems.add(
+      (isString) ? path : `${path}.connectionString`,
+      err.message,
+      connection.redact((isString) ? entry : entry.connectionString)
+    );
+    return null;
+  }
+}
+
+
+// Keys in a database entry that configure the Connector rather than pg.
+//
+const databaseKeys = new Set([
+  'replicas',
+  'balance',
+  'replicaCooldownMillis',
+  'retry',
+  'circuitBreaker',
+]);
+
+
+// Replica and tenant entries inherit everything from the database they are
+// merged over, so only the pg options they override are checked.
+//
+function checkOverride(problems, path, entry, message, hasResolver) {
+  if (!isNonEmptyString(entry) && !isObject(entry)) {
+    problems.add(path, message, entry);
+    return;
+  }
+
+  const conf = expandEntry(problems, path, entry);
+  if (!elv(conf)) return;
+
+  checkPoolOptions(problems, path, conf, new Set(), hasResolver);
+}
+
+
+function checkDatabase(problems, path, entry, hasResolver) {
+  if (!isNonEmptyString(entry) && !isObject(entry)) {
+    problems.add(path, msg.databasePojo, entry);
+    return;
+  }
+
+  // Everything else is checked after the connection string is expanded, so
+  // both forms follow the same rules.
+  //
+  const dbConf = expandEntry(problems, path, entry);
+  if (!elv(dbConf)) return;
+
+  // The host may come from a connection string that is only known once its
+  // secret is resolved.
+  //
+  if (!elv(dbConf.host) && !secrets.isReference(dbConf.connectionString)) {
+    problems.add(`${path}.host`, msg.hostRequired, dbConf.host);
+  }
+
+  checkPoolOptions(problems, path, dbConf, databaseKeys, hasResolver);
+
+  if (elv(dbConf.balance) && !balancers.has(dbConf.balance)) {
+    problems.add(`${path}.balance`, msg.balance, dbConf.balance);
+  }
+
+  if (elv(dbConf.replicaCooldownMillis)) {
+    problems.check(
+      `${path}.replicaCooldownMillis`,
+      'nonNegativeNumber',
+      dbConf.replicaCooldownMillis
+    );
+  }
+
+  checkPolicy(problems, `${path}.retry`, dbConf.retry, retry.validate);
+  checkPolicy(
+    problems,
+    `${path}.circuitBreaker`,
+    dbConf.circuitBreaker,
+    breaker.validate
+  );
+
+  if (!elv(dbConf.replicas)) return;
+
+  if (!Array.isArray(dbConf.replicas)) {
+    problems.add(`${path}.replicas`, msg.replicasArray, dbConf.replicas);
+    return;
+  }
+
+  dbConf.replicas.forEach((replicaEntry, index) => {
+    checkOverride(
+      problems,
+      `${path}.replicas[${index}]`,
+      replicaEntry,
+      msg.replicaPojo,
+      hasResolver
+    );
+  });
+}
+
+
+function checkTenants(problems, path, repoConf, hasResolver) {
+  if (elv(repoConf.maxTenantPools)) {
+    problems.check(
+      `${path}.maxTenantPools`,
+      'positiveInteger',
+      repoConf.maxTenantPools
+    );
+  }
+
+  const tenants = repoConf.tenants;
+  if (!elv(tenants) || typeof tenants === 'function') return;
+
+  if (!isObject(tenants)) {
+    problems.add(
+      `${path}.tenants`,
+      msg.tenants,
+      secrets.redactTenants(tenants)
+    );
+    return;
+  }
+
+  Object.keys(tenants).forEach((tenant) => {
+    checkOverride(
+      problems,
+      `${path}.tenants.${tenant}`,
+      tenants[tenant],
+      msg.tenantPojo,
+      hasResolver
+    );
+  });
+}
+
+
+// Sharded repositories map to several databases, instead of "database", and
+// cannot also be tenant-aware.
+//
+function checkShards(problems, path, repoConf, hasDatabase) {
+  const redacted = secrets.redactRepository(repoConf);
+
+  ['database', 'tenants', 'maxTenantPools'].forEach((key) => {
+    if (elv(repoConf[key])) {
+      problems.add(`${path}.${key}`, msg.shardsOnly, redacted[key]);
+    }
+  });
+
+  const problem = sharding.validate(repoConf);
+
+  if (elv(problem)) {
+    problems.add(path, problem, redacted);
+    return;
+  }
+
+  repoConf.shards.forEach((name, index) => {
+    if (!hasDatabase(name)) {
+      problems.add(`${path}.shards[${index}]`, msg.repoMapping + name, name);
+    }
+  });
+}
+
+
+function checkRepository(problems, path, repoConf, hasDatabase, hasResolver) {
+  if (!isNonEmptyString(repoConf) && !isObject(repoConf)) {
+    problems.add(path, msg.repoStr, repoConf);
+    return;
+  }
+
+  const databaseName = (typeof repoConf === 'string')
+    ? repoConf
+    : repoConf.database;
+
+  if (typeof repoConf === 'object') {
+    Object.keys(repoConf).forEach((key) => {
+      if (!repositoryKeys.has(key)) {
+        problems.unknownKey(`${path}.${key}`);
+      }
+    });
+
+    const problem = session.validate(repoConf);
+    if (elv(problem)) {
+      problems.add(path, problem, secrets.redactRepository(repoConf));
+    }
+
+    checkPolicy(problems, `${path}.retry`, repoConf.retry, retry.validate);
+
+    if (elv(repoConf.shards)) {
+      checkShards(problems, path, repoConf, hasDatabase);
+      return;
+    }
+
+    ['ranges', 'strategy'].forEach((key) => {
+      if (elv(repoConf[key])) {
+        problems.add(`${path}.${key}`, msg.shardsRequired, repoConf[key]);
+      }
+    });
+
+    if (!isNonEmptyString(databaseName)) {
+      problems.add(`${path}.database`, msg.repoDatabase, databaseName);
+      return;
+    }
+
+    checkTenants(problems, path, repoConf, hasResolver);
+  }
+
+  if (!hasDatabase(databaseName)) {
+    problems.add(
+      path,
+      msg.repoMapping + databaseName,
+      secrets.redactRepository(repoConf)
+    );
+  }
+}
+
+
+/**
+ * Checks a whole configuration, and lists every problem found.
+ *
+ * @param {*} conf
+ * @param {Function} [hasDatabase] Given a database name that conf does not
+ * define, returns true if it exists elsewhere, e.g. in a Connector the
+ * configuration is being added to.
+ * @param {Function} [hasResolver] Given the name of a secret resolver, such
+ * as "vault" for { "$vault": "..." }, returns true if it is registered.  When
+ * omitted, any name is accepted.
+ *
+ * @return {Array} Objects with the keys path, message and value, and warning
+ * set to true for problems that do not make the configuration invalid.
+ * Empty if nothing was found.
+ */
+function validate(conf, hasDatabase, hasResolver) {
+  const problems = new Problems();
+
+  if (!isObject(conf)) {
+    problems.add('', msg.confPojo, conf);
+    return problems.list;
+  }
+
+  Object.keys(conf).forEach((key) => {
+    if (!topLevelKeys.has(key)) problems.unknownKey(key);
+  });
+
+  const databases = conf.databases;
+  const repositories = conf.repositories;
+
+  if (!elv(databases)) {
+    problems.add('databases', msg.noDatabases, databases);
+  } else if (!isObject(databases)) {
+    problems.add('databases', msg.databasesPojo, databases);
+  } else if (Object.keys(databases).length === 0) {
+    problems.add('databases', msg.noDatabases, databases);
+  } else {
+    Object.keys(databases).forEach((key) => {
+      checkDatabase(
+        problems,
+        `databases.${key}`,
+        databases[key],
+        hasResolver
+      );
+    });
+  }
+
+  const known = name => (isObject(databases) && has(databases, name))
+                        || (elv(hasDatabase) && hasDatabase(name));
+
+  if (!elv(repositories)) {
+    problems.add('repositories', msg.noRepositories, repositories);
+  } else if (!isObject(repositories)) {
+    problems.add('repositories', msg.reposPojo, repositories);
+  } else if (Object.keys(repositories).length === 0) {
+    problems.add('repositories', msg.noRepositories, repositories);
+  } else {
+    Object.keys(repositories).forEach((key) => {
+      checkRepository(
+        problems,
+        `repositories.${key}`,
+        repositories[key],
+        known,
+        hasResolver
+      );
+    });
+  }
+
+  return problems.list;
+}
+
+
+/**
+ * Checks a database entry returned by a tenant resolver.
+ *
+ * @param {*} entry
+ * @param {String} path Where the entry came from, used in problems.
+ * @param {Function} [hasResolver] See validate().
+ *
+ * @return {Array} The problems found, as validate() lists them.
+ */
+function validateTenant(entry, path, hasResolver) {
+  const problems = new Problems();
+
+  if (isObject(entry) && !isPlainObject(entry)) {
+    problems.add(path, msg.tenantPojo, entry);
+  } else {
+    checkOverride(problems, path, entry, msg.tenantPojo, hasResolver);
+  }
+
+  return problems.list;
+}
+
+
+/**
+ * Creates a single error describing every problem found in a configuration,
+ * other than warnings.
+ *
+ * @param {Array} problems The output of validate().
+ *
+ * @return {ConfigurationError|null} Null if there are only warnings, or no
+ * problems at all.
+ */
+function toError(problems) {
+  const invalid = problems.filter(problem => problem.warning !== true);
+  if (invalid.length === 0) return null;
+
+  const described = invalid.map(problem =>
+    ((problem.path.length > 0)
+      ? `${problem.path}: ${problem.message}`
+      : problem.message));
+
+  return new ConfigurationError(msg.problems + described.join('; '), {
+    problems,
+  });
+}
+
+
+/**
+ * @module schema
+ */
+module.exports = {
+  balancers,
+  databaseKeys,
+  poolOptions,
+  toError,
+  validate,
+  validateTenant,
+};
@@ -0,0 +1,304 @@
+'use strict';
+
+const elv = require('elv');
+const fs = require('fs');
+const Promise = require('bluebird');
+
+const connection = require('./connection');
+
+
+const msg = {
+  envMissing: 'Environment variable referenced by a secret is not set: ',
+  fileRead: 'Could not read the file referenced by a secret: ',
+  reference: 'Secret references must have exactly one key, starting with ' +
+    '"$", whose value is a non-empty string',
+  resolverName: 'Unknown secret resolver: ',
+  resolverValue: 'Secret resolver did not return a string: ',
+  syncOnly: 'Only "$env" and "$file" secrets can be used for this key; ' +
+    'other resolvers are only supported for "password"',
+};
+
+
+// Replaces secrets in configuration that is emitted or attached to errors,
+// as connection.redact() does for connection string passwords.
+//
+const redacted = '***';
+
+
+// Resolvers that are always available.  Both are synchronous, so they can be
+// used for any key of a database entry.
+//
+const builtins = {
+  env: (name) => {
+    const value = process.env[name];
+    if (!elv(value)) throw new Error(msg.envMissing + name);
+    return value;
+  },
+  file: (filePath) => {
+    let text;
+
+    try {
+      text = fs.readFileSync(filePath, 'utf8');
+    } catch (err) {
+      throw new Error(msg.fileRead + filePath);
+    }
+
+    // Secret files are usually written with a trailing newline.
+    //
+    return text.replace(/\r?\n$/, '');
+  },
+};
+
+
+function isPojo(value) {
+  return elv(value)
+         && typeof value === 'object'
+         && !Array.isArray(value)
+         && !(value instanceof Date);
+}
+
+
+function mapValues(obj, fn) {
+  const result = {};
+
+  Object.keys(obj).forEach((key) => {
+    result[key] = fn(obj[key]);
+  });
+
+  return result;
+}
+
+
+/**
+ * Gets whether a configuration value is meant to be a secret reference, such
+ * as { "$env": "PG_PASS" }.
+ *
+ * @param {*} value
+ *
+ * @return {Boolean}
+ */
+function isReference(value) {
+  return isPojo(value) && Object.keys(value).some(key => key[0] === '$');
+}
+
+
+function parse(reference) {
+  const keys = Object.keys(reference);
+  if (keys.length !== 1 || keys[0][0] !== '$') return null;
+
+  const value = reference[keys[0]];
+  if (typeof value !== 'string' || value.length === 0) return null;
+
+  return { name: keys[0].slice(1), value };
+}
+
+
+function isBuiltin(name) {
+  return Object.prototype.hasOwnProperty.call(builtins, name);
+}
+
+
+/**
+ * Checks a secret reference.
+ *
+ * @param {Object} reference
+ * @param {String} key The option the reference is given for.
+ * @param {Function} [hasResolver] Given a resolver name, returns true if it
+ * is registered.  When omitted, any name is accepted.
+ *
+ * @return {String|null} A description of the problem, or null if the
+ * reference is valid.
+ */
+function validate(reference, key, hasResolver) {
+  const parsed = parse(reference);
+  if (!elv(parsed)) return msg.reference;
+  if (isBuiltin(parsed.name)) return null;
+  if (key !== 'password') return msg.syncOnly;
+
+  if (elv(hasResolver) && !hasResolver(parsed.name)) {
+    return msg.resolverName + parsed.name;
+  }
+
+  return null;
+}
+
+
+/**
+ * Resolves a valid secret reference.
+ *
+ * @param {Object} reference
+ * @param {Map} resolvers Registered resolvers, by name.
+ *
+ * @return {Promise} Resolves to the secret.
+ */
+function resolve(reference, resolvers) {
+  const parsed = parse(reference);
+
+  return Promise.try(() => {
+    if (isBuiltin(parsed.name)) return builtins[parsed.name](parsed.value);
+
+    const resolver = resolvers.get(parsed.name);
+    if (!elv(resolver)) throw new Error(msg.resolverName + parsed.name);
+
+    return resolver(parsed.value);
+  })
+    .then((secret) => {
+      if (typeof secret !== 'string') {
+        throw new Error(msg.resolverValue + parsed.name);
+      }
+
+      return secret;
+    });
+}
+
+
+/**
+ * Replaces the secret references in a database or replica entry.  A password
+ * reference becomes a function, which pg calls for every new connection, so
+ * rotated passwords are picked up.  Any other reference is resolved now.
+ *
+ * @param {String|Object} entry A valid entry.
+ * @param {Map} resolvers Registered resolvers, by name.
+ *
+ * @return {String|Object}
+ *
+ * @throws {Error} If a reference cannot be resolved.
+ */
+function resolveEntry(entry, resolvers) {
+  if (!isPojo(entry)) return entry;
+
+  const result = {};
+
+  Object.keys(entry).forEach((key) => {
+    const value = entry[key];
+
+    if (key === 'replicas' && Array.isArray(value)) {
+      result[key] = value.map(replica => resolveEntry(replica, resolvers));
+    } else if (!isReference(value)) {
+      result[key] = value;
+    } else if (key === 'password') {
+      result[key] = () => resolve(value, resolvers);
+    } else {
+      const parsed = parse(value);
+      result[key] = builtins[parsed.name](parsed.value);
+    }
+  });
+
+  return result;
+}
+
+
+/**
+ * Gets what may be shown of a database option.
+ *
+ * @param {String} key
+ * @param {*} value
+ *
+ * @return {*}
+ */
+function redactValue(key, value) {
+  if (!elv(value) || isReference(value)) return value;
+  if (key === 'password') return redacted;
+  if (key === 'connectionString') return connection.redact(value);
+  return value;
+}
+
+
+/**
+ * Copies a database or replica entry with its password replaced.
+ *
+ * @param {*} entry
+ *
+ * @return {*}
+ */
+function redactEntry(entry) {
+  if (typeof entry === 'string') return connection.redact(entry);
+  if (!isPojo(entry)) return entry;
+
+  const result = {};
+
+  Object.keys(entry).forEach((key) => {
+    const value = entry[key];
+
+    result[key] = (key === 'replicas' && Array.isArray(value))
+      ? value.map(redactEntry)
+      : redactValue(key, value);
+  });
+
+  return result;
+}
+
+
+/**
+ * Copies the tenants of a repository with the passwords of their entries
+ * replaced.  Resolver functions are kept as they are.
+ *
+ * @param {*} tenants
+ *
+ * @return {*}
+ */
+function redactTenants(tenants) {
+  if (Array.isArray(tenants)) return tenants.map(redactEntry);
+  if (!isPojo(tenants)) return redactEntry(tenants);
+  return mapValues(tenants, redactEntry);
+}
+
+
+/**
+ * Copies a repository entry with the passwords of its tenants replaced.
+ *
+ * @param {*} repoConf
+ *
+ * @return {*}
+ */
+function redactRepository(repoConf) {
+  if (!isPojo(repoConf) || !elv(repoConf.tenants)) return repoConf;
+  return Object.assign({}, repoConf, {
+    tenants: redactTenants(repoConf.tenants),
+  });
+}
+
+
+/**
+ * Copies a configuration, or a fragment of one, with passwords replaced, so
+ * that it can be emitted.  Secret references are kept, since they only say
+ * where a secret is found.
+ *
+ * @param {*} conf
+ *
+ * @return {*}
+ */
+function redact(conf) {
+  if (!isPojo(conf)) return conf;
+  if (!isPojo(conf.databases) && !isPojo(conf.repositories)) return conf;
+
+  const result = Object.assign({}, conf);
+
+  if (isPojo(conf.databases)) {
+    result.databases = mapValues(conf.databases, redactEntry);
+  }
+
+  if (isPojo(conf.repositories)) {
+    result.repositories = mapValues(conf.repositories, redactRepository);
+  }
+
+  return result;
+}
+
+
+/**
+ * @module secrets
+ */
+module.exports = {
+  isBuiltin,
+  isReference,
+  redact,
+  redacted,
+  redactEntry,
+  redactRepository,
+  redactTenants,
+  redactValue,
+  resolve,
+  resolveEntry,
+  validate,
+};
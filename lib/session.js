@@ -0,0 +1,138 @@
+'use strict';
+
+const elv = require('elv');
+
+
+const msg = {
+  schema: 'Repository "schema" must be a non-empty string, or an array of ' +
+    'non-empty strings',
+  settings: 'Repository "settings" must be an object',
+  settingName: 'Repository "settings" keys must be configuration parameter ' +
+    'names',
+  settingValue: 'Repository "settings" values must be strings, numbers or ' +
+    'booleans',
+};
+
+
+// Configuration parameter names, optionally qualified by an extension name,
+// such as "statement_timeout" or "auto_explain.log_min_duration".
+//
+const settingName = /^[A-Za-z_][A-Za-z0-9_$]*(\.[A-Za-z_][A-Za-z0-9_$]*)?$/;
+
+
+// Undoes everything set by setStatement(), so a client can go back into a
+// pool that other repositories share.  RESET ALL leaves the role alone, so it
+// is reset first.
+//
+const resetStatement = 'RESET ROLE; RESET ALL';
+
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+
+function schemas(schema) {
+  return (Array.isArray(schema)) ? schema : [schema];
+}
+
+
+/**
+ * Checks the schema and settings of a repository configuration object.
+ *
+ * @param {Object} repoConf
+ *
+ * @return {String|null} A description of the problem, or null if both are
+ * valid.
+ */
+function validate(repoConf) {
+  if (elv(repoConf.schema)) {
+    const list = schemas(repoConf.schema);
+    if (list.length === 0 || !list.every(isNonEmptyString)) return msg.schema;
+  }
+
+  if (!elv(repoConf.settings)) return null;
+
+  const settings = repoConf.settings;
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return msg.settings;
+  }
+
+  const keys = Object.keys(settings);
+
+  for (let i = 0; i < keys.length; i++) {
+    const value = settings[keys[i]];
+
+    if (!settingName.test(keys[i])) return msg.settingName;
+
+    if (typeof value !== 'string'
+        && typeof value !== 'number'
+        && typeof value !== 'boolean') {
+      return msg.settingValue;
+    }
+  }
+
+  return null;
+}
+
+
+/**
+ * Quotes a string for use as an SQL identifier.
+ *
+ * @param {String} name
+ *
+ * @return {String}
+ */
+function quoteIdentifier(name) {
+  return `"${name.replace(/"/g, '""')}"`;
+}
+
+
+/**
+ * Builds the statement that applies a repository's schema and settings to a
+ * client.  Values are sent as parameters to set_config(), so they never need
+ * escaping.  An explicit "search_path" setting wins over schema.
+ *
+ * @param {Object} repoConf A valid repository configuration object.
+ *
+ * @return {Object|null} A query config object, or null if there is nothing
+ * to apply.
+ */
+function setStatement(repoConf) {
+  const values = [];
+
+  if (elv(repoConf.schema)) {
+    values.push(
+      'search_path',
+      schemas(repoConf.schema).map(quoteIdentifier).join(', ')
+    );
+  }
+
+  const settings = elv.coalesce(repoConf.settings, {});
+  Object.keys(settings).forEach((key) => {
+    values.push(key, String(settings[key]));
+  });
+
+  if (values.length === 0) return null;
+
+  const calls = [];
+  for (let i = 1; i < values.length; i += 2) {
+    calls.push(`set_config($${i}, $${i + 1}, false)`);
+  }
+
+  return {
+    text: `SELECT ${calls.join(', ')}`,
+    values,
+  };
+}
+
+
+/**
+ * @module session
+ */
+module.exports = {
+  quoteIdentifier,
+  resetStatement,
+  setStatement,
+  validate,
+};
@@ -0,0 +1,185 @@
+'use strict';
+
+const elv = require('elv');
+
+
+const msg = {
+  index: 'Shard function must return an integer from 0 to the number of ' +
+    'shards, but returned: ',
+  keyType: 'Option "shardKey" must be a string or a finite number',
+  rangeKeyType: 'Option "shardKey" must have the same type as the ' +
+    'repository\'s "ranges": ',
+  ranges: 'Repository "ranges" must be an ascending array of numbers or ' +
+    'strings, with one entry less than "shards"',
+  rangesUnused: 'Repository "ranges" can only be used with the "range" ' +
+    'strategy',
+  shards: 'Repository "shards" must be a non-empty array of unique, ' +
+    'non-empty strings',
+  strategy: 'Repository "strategy" must be "hash", "range" or a function',
+};
+
+
+const strategies = new Set([
+  'hash',
+  'range',
+]);
+
+
+function isShardKey(value) {
+  return typeof value === 'string'
+         || (typeof value === 'number' && Number.isFinite(value));
+}
+
+
+function isAscending(ranges) {
+  const type = typeof ranges[0];
+
+  for (let i = 0; i < ranges.length; i++) {
+    if (!isShardKey(ranges[i]) || typeof ranges[i] !== type) return false;
+    if (i > 0 && !(ranges[i - 1] < ranges[i])) return false;
+  }
+
+  return true;
+}
+
+
+// Custom strategies are functions, which elv.coalesce() would call.
+//
+function strategyOf(repoConf) {
+  return (elv(repoConf.strategy)) ? repoConf.strategy : 'hash';
+}
+
+
+/**
+ * Checks the sharding keys of a repository object.
+ *
+ * @param {Object} repoConf
+ *
+ * @return {String|null} A description of the problem, or null if the keys
+ * are valid.
+ */
+function validate(repoConf) {
+  const shards = repoConf.shards;
+
+  if (!Array.isArray(shards) || shards.length === 0
+      || shards.some(name => typeof name !== 'string' || name.length === 0)
+      || new Set(shards).size !== shards.length) {
+    return msg.shards;
+  }
+
+  const strategy = strategyOf(repoConf);
+
+  if (typeof strategy !== 'function' && !strategies.has(strategy)) {
+    return msg.strategy;
+  }
+
+  if (strategy !== 'range') {
+    return (elv(repoConf.ranges)) ? msg.rangesUnused : null;
+  }
+
+  const ranges = repoConf.ranges;
+
+  if (!Array.isArray(ranges) || ranges.length !== shards.length - 1
+      || !isAscending(ranges)) {
+    return msg.ranges;
+  }
+
+  return null;
+}
+
+
+/**
+ * Creates the sharding settings of a valid repository object.
+ *
+ * @param {Object} repoConf
+ *
+ * @return {Object} With the keys databases, strategy and ranges.
+ */
+function create(repoConf) {
+  return {
+    databases: repoConf.shards.slice(),
+    strategy: strategyOf(repoConf),
+    ranges: (elv(repoConf.ranges)) ? repoConf.ranges.slice() : null,
+  };
+}
+
+
+/* eslint-disable no-bitwise */
+/**
+ * Hashes the string form of a shard key with 32-bit FNV-1a, over its UTF-8
+ * bytes, so that other services can compute the same shard.
+ *
+ * @param {String|Number} key
+ *
+ * @return {Number} An unsigned 32-bit integer.
+ */
+function hash(key) {
+  const bytes = Buffer.from(String(key), 'utf8');
+  let result = 0x811c9dc5;
+
+  for (let i = 0; i < bytes.length; i++) {
+    result ^= bytes[i];
+    result = Math.imul(result, 0x01000193);
+  }
+
+  return result >>> 0;
+}
+/* eslint-enable no-bitwise */
+
+
+// A single shard has no ranges to split keys by, and takes every key.
+//
+function pickRange(ranges, key) {
+  if (ranges.length === 0) return 0;
+
+  if (typeof key !== typeof ranges[0]) {
+    throw new TypeError(msg.rangeKeyType + typeof ranges[0]);
+  }
+
+  for (let i = 0; i < ranges.length; i++) {
+    if (key < ranges[i]) return i;
+  }
+
+  return ranges.length;
+}
+
+
+/**
+ * Picks the shard a key belongs to.
+ *
+ * @param {Object} sharding The output of create().
+ * @param {String|Number} key
+ *
+ * @return {Number} The index of the shard's database.
+ *
+ * @throws {TypeError} If the key is not valid for the strategy.
+ * @throws {Error} If a custom strategy returns an invalid index.
+ */
+function pick(sharding, key) {
+  if (!isShardKey(key)) throw new TypeError(msg.keyType);
+
+  const count = sharding.databases.length;
+
+  if (sharding.strategy === 'hash') return hash(key) % count;
+  if (sharding.strategy === 'range') return pickRange(sharding.ranges, key);
+
+  const index = sharding.strategy(key, count);
+
+  if (!Number.isInteger(index) || index < 0 || index >= count) {
+    throw new Error(msg.index + index);
+  }
+
+  return index;
+}
+
+
+/**
+ * @module sharding
+ */
+module.exports = {
+  create,
+  hash,
+  isShardKey,
+  pick,
+  validate,
+};
@@ -0,0 +1,257 @@
+'use strict';
+
+const elv = require('elv');
+
+const breaker = require('./breaker');
+
+
+// Upper bounds, in milliseconds, of the histogram buckets used for client
+// acquisition and query durations.
+//
+const buckets = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000];
+
+
+const prefix = 'pgconnector_';
+
+
+/**
+ * Creates an empty histogram.
+ *
+ * @return {Object}
+ */
+function createHistogram() {
+  return {
+    counts: buckets.map(() => 0),
+    sum: 0,
+    count: 0,
+  };
+}
+
+
+/**
+ * Records a single value, in milliseconds, in a histogram.
+ *
+ * @param {Object} histogram
+ * @param {Number} value
+ */
+function observe(histogram, value) {
+  for (let i = 0; i < buckets.length; i++) {
+    if (value <= buckets[i]) {
+      histogram.counts[i]++;
+      break;
+    }
+  }
+
+  histogram.sum += value;
+  histogram.count++;
+}
+
+
+/**
+ * Creates the set of counters kept for each repository and each database.
+ *
+ * @return {Object}
+ */
+function createCounters() {
+  return {
+    active: 0,
+    waiting: 0,
+    acquisitions: 0,
+    errors: 0,
+    acquireTime: createHistogram(),
+    queries: 0,
+    queryErrors: 0,
+    queryTime: createHistogram(),
+  };
+}
+
+
+function snapshotHistogram(histogram) {
+  const result = { buckets: {}, sum: histogram.sum, count: histogram.count };
+  let cumulative = 0;
+
+  for (let i = 0; i < buckets.length; i++) {
+    cumulative += histogram.counts[i];
+    result.buckets[buckets[i]] = cumulative;
+  }
+
+  result.buckets['+Inf'] = histogram.count;
+  return result;
+}
+
+
+/**
+ * Copies counters into a plain object, with cumulative histogram buckets.
+ *
+ * @param {Object} counters
+ *
+ * @return {Object}
+ */
+function snapshot(counters) {
+  return {
+    active: counters.active,
+    waiting: counters.waiting,
+    acquisitions: counters.acquisitions,
+    errors: counters.errors,
+    acquireTime: snapshotHistogram(counters.acquireTime),
+    queries: counters.queries,
+    queryErrors: counters.queryErrors,
+    queryTime: snapshotHistogram(counters.queryTime),
+  };
+}
+
+
+function escapeLabel(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/\n/g, '\\n')
+    .replace(/"/g, '\\"');
+}
+
+
+function labelString(labels) {
+  const keys = Object.keys(labels);
+  const pairs = keys.map(key => `${key}="${escapeLabel(labels[key])}"`);
+  return `{${pairs.join(',')}}`;
+}
+
+
+function header(lines, name, type, help) {
+  lines.push(`# HELP ${prefix}${name} ${help}`);
+  lines.push(`# TYPE ${prefix}${name} ${type}`);
+}
+
+
+function sample(lines, name, labels, value) {
+  lines.push(`${prefix}${name}${labelString(labels)} ${value}`);
+}
+
+
+function histogramSamples(lines, name, labels, histogram) {
+  const bucketKeys = Object.keys(histogram.buckets);
+
+  for (let i = 0; i < bucketKeys.length; i++) {
+    const key = bucketKeys[i];
+    const le = (key === '+Inf') ? key : String(Number(key) / 1000);
+    const bucketLabels = Object.assign({}, labels, { le });
+    sample(lines, `${name}_bucket`, bucketLabels, histogram.buckets[key]);
+  }
+
+  sample(lines, `${name}_sum`, labels, histogram.sum / 1000);
+  sample(lines, `${name}_count`, labels, histogram.count);
+}
+
+
+/**
+ * Renders the output of Connector.prototype.stats() in the Prometheus text
+ * exposition format.
+ *
+ * @param {Object} stats
+ *
+ * @return {String}
+ */
+function render(stats) {
+  const lines = [];
+  const dbNames = Object.keys(stats.databases);
+  const repoNames = Object.keys(stats.repositories);
+
+  // Sharded repositories are labeled with all of their databases.
+  //
+  const repoLabels = (name) => {
+    const repo = stats.repositories[name];
+
+    return {
+      repository: name,
+      database: (elv(repo.database)) ? repo.database : repo.shards.join(','),
+    };
+  };
+
+  const series = (type, name, help, key) => {
+    header(lines, name, type, help);
+
+    repoNames.forEach((repoName) => {
+      const labels = repoLabels(repoName);
+      const value = stats.repositories[repoName][key];
+
+      if (type === 'histogram') histogramSamples(lines, name, labels, value);
+      else sample(lines, name, labels, value);
+    });
+  };
+
+  header(lines, 'pool_clients', 'gauge', 'Clients in each pool, by state.');
+  dbNames.forEach((dbName) => {
+    const pool = stats.databases[dbName].pool;
+
+    Object.keys(pool).forEach((state) => {
+      sample(lines, 'pool_clients', { database: dbName, state }, pool[state]);
+    });
+  });
+
+  header(
+    lines,
+    'circuit_state',
+    'gauge',
+    'Circuit breaker state of each database, where one is set.'
+  );
+  dbNames.forEach((dbName) => {
+    const circuit = stats.databases[dbName].circuit;
+    if (!elv(circuit)) return;
+
+    breaker.states.forEach((state) => {
+      const value = (circuit.state === state) ? 1 : 0;
+      sample(lines, 'circuit_state', { database: dbName, state }, value);
+    });
+  });
+
+  series('gauge', 'active_clients', 'Clients checked out.', 'active');
+  series('gauge', 'waiting_acquisitions', 'Requests for a client.', 'waiting');
+  series('counter', 'acquisitions_total', 'Checkouts.', 'acquisitions');
+  series('counter', 'acquire_errors_total', 'Failed checkouts.', 'errors');
+  series(
+    'histogram',
+    'acquire_duration_seconds',
+    'Time spent waiting for a client.',
+    'acquireTime'
+  );
+  series('counter', 'queries_total', 'Queries run.', 'queries');
+  series('counter', 'query_errors_total', 'Failed queries.', 'queryErrors');
+  series(
+    'histogram',
+    'query_duration_seconds',
+    'Time spent running queries.',
+    'queryTime'
+  );
+
+  return `${lines.join('\n')}\n`;
+}
+
+
+/**
+ * Gets a snapshot of a pool's client counts, defaulting to zero for pool
+ * implementations that do not expose them.
+ *
+ * @param {Pool} pool
+ *
+ * @return {Object}
+ */
+function poolCounts(pool) {
+  return {
+    total: elv.coalesce(pool.totalCount, 0),
+    idle: elv.coalesce(pool.idleCount, 0),
+    waiting: elv.coalesce(pool.waitingCount, 0),
+  };
+}
+
+
+/**
+ * @module stats
+ */
+module.exports = {
+  buckets,
+  createCounters,
+  createHistogram,
+  observe,
+  poolCounts,
+  render,
+  snapshot,
+};
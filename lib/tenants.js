@@ -0,0 +1,142 @@
+'use strict';
+
+const elv = require('elv');
+
+
+const msg = {
+  resolverSync: 'Tenant resolvers must return an entry, not a Promise',
+};
+
+
+// How many tenant pools a repository keeps open by default.
+//
+const defaultMaxPools = 10;
+
+
+/**
+ * Keeps the pools a tenant repository has opened, closing the least recently
+ * used one once there are more than max.
+ *
+ * @param {Object|Function} tenants A map of tenant names to database entries,
+ * or a function that is given a tenant name and returns its entry.
+ * @param {Number} [max] The most pools to keep open.
+ * @param {Function} onEvict Given the tenant name and pool of an evicted
+ * pool, which it is expected to end.
+ */
+class TenantPools {
+  constructor(tenants, max, onEvict) {
+    this.tenants = tenants;
+    this.max = elv.coalesce(max, defaultMaxPools);
+    this.pools = new Map();
+    this._onEvict = onEvict;
+  }
+
+
+  /**
+   * The number of pools currently open.
+   *
+   * @return {Number}
+   */
+  get size() {
+    return this.pools.size;
+  }
+
+
+  /**
+   * Adds the pool of a tenant, evicting the least recently used pools if
+   * there are now too many.
+   *
+   * @param {String} tenant
+   * @param {Pool} pool
+   */
+  add(tenant, pool) {
+    this.pools.set(tenant, pool);
+
+    while (this.pools.size > this.max) {
+      const oldest = this.pools.keys().next().value;
+      const evicted = this.pools.get(oldest);
+
+      this.pools.delete(oldest);
+      this._onEvict(oldest, evicted);
+    }
+  }
+
+
+  /**
+   * Removes every pool, without ending them.
+   *
+   * @return {Array} The removed pools.
+   */
+  clear() {
+    const pools = Array.from(this.pools.values());
+    this.pools.clear();
+    return pools;
+  }
+
+
+  /**
+   * Gets the database entry of a tenant.
+   *
+   * @param {String} tenant
+   *
+   * @return {String|Object|null} Null if the tenant is unknown.
+   */
+  entry(tenant) {
+    if (typeof this.tenants === 'function') {
+      const resolved = this.tenants(tenant);
+
+      // Pools are created synchronously, so an async resolver's entry would
+      // never be seen.
+      //
+      if (elv(resolved) && typeof resolved.then === 'function') {
+        throw new TypeError(msg.resolverSync);
+      }
+
+      return (elv(resolved)) ? resolved : null;
+    }
+
+    return (Object.prototype.hasOwnProperty.call(this.tenants, tenant))
+      ? this.tenants[tenant]
+      : null;
+  }
+
+
+  /**
+   * Gets the open pool of a tenant, and marks it as the most recently used.
+   *
+   * @param {String} tenant
+   *
+   * @return {Pool|null}
+   */
+  get(tenant) {
+    if (!this.pools.has(tenant)) return null;
+
+    // Maps iterate in insertion order, so moving the pool to the end keeps
+    // the least recently used one first.
+    //
+    const pool = this.pools.get(tenant);
+    this.pools.delete(tenant);
+    this.pools.set(tenant, pool);
+
+    return pool;
+  }
+
+
+  /**
+   * Lists the tenants with open pools, least recently used first.
+   *
+   * @return {Array}
+   */
+  open() {
+    return Array.from(this.pools.keys());
+  }
+}
+
+
+/**
+ * @module tenants
+ */
+module.exports = {
+  defaultMaxPools,
+  TenantPools,
+};
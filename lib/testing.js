@@ -0,0 +1,533 @@
+'use strict';
+
+const assert = require('assert');
+const elv = require('elv');
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+
+const msg = {
+  argConnector: 'Argument "connector" must be a Connector',
+  argOptionsPojo: 'Argument "options" must be an object',
+  argPattern: 'Argument "pattern" must be a non-empty string, a RegExp or a ' +
+    'function',
+  argTimesInt: 'Argument "times" must be a non-negative integer',
+  doubleRelease: 'Release called on client which has already been released ' +
+    'to the pool.',
+  poolEnded: 'Cannot use a pool after calling end on the pool',
+  submittable: 'The fake pg library does not support submittable queries, ' +
+    'such as cursors',
+};
+
+
+function normalize(text) {
+  return String(text).replace(/\s+/g, ' ').trim();
+}
+
+
+// Strings match queries whose text is the same, ignoring differences in
+// whitespace.
+//
+function toMatcher(pattern) {
+  if (pattern instanceof RegExp) {
+    return (text) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    };
+  }
+
+  if (typeof pattern === 'function') return pattern;
+
+  if (typeof pattern === 'string' && pattern.length > 0) {
+    const expected = normalize(pattern);
+    return text => normalize(text) === expected;
+  }
+
+  throw new TypeError(msg.argPattern);
+}
+
+
+function toFilter(pattern, options) {
+  const settings = elv.coalesce(options, {});
+
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new TypeError(msg.argOptionsPojo);
+  }
+
+  const match = toMatcher(pattern);
+  const repository = settings.repository;
+
+  return record => match(record.text)
+    && (!elv(repository) || record.repository === repository);
+}
+
+
+// Canned results may be given as just the rows.
+//
+function toResult(value) {
+  const rows = (Array.isArray(value)) ? value : null;
+  const result = (elv(rows)) ? { rows } : elv.coalesce(value, {});
+  const resultRows = (Array.isArray(result.rows)) ? result.rows : [];
+
+  return Object.assign({ command: null, fields: [] }, result, {
+    rows: resultRows,
+    rowCount: (typeof result.rowCount === 'number')
+      ? result.rowCount
+      : resultRows.length,
+  });
+}
+
+
+function isDeepEqual(actual, expected) {
+  try {
+    assert.deepStrictEqual(actual, expected);
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+
+function fail(message) {
+  throw new assert.AssertionError({ message });
+}
+
+
+function describePattern(pattern) {
+  return (typeof pattern === 'function') ? 'the given function' : pattern;
+}
+
+
+/**
+ * A client of the fake pg library.  Queries are recorded by the FakePg that
+ * created it, which also answers them.  Like pg's clients, it is an
+ * EventEmitter, so tests can emit "error" or "end" to act out a lost
+ * connection.
+ *
+ * @extends EventEmitter
+ *
+ * @param {FakePg} fake
+ * @param {FakePool} pool
+ *
+ * @property {String|null} repository The repository that checked the client
+ * out, once FakePg#attach() knows it.
+ * @property {String|null} database
+ */
+class FakeClient extends EventEmitter {
+  constructor(fake, pool) {
+    super();
+    this.repository = null;
+    this.database = null;
+    this._fake = fake;
+    this._pool = pool;
+  }
+
+
+  /**
+   * Records a query, and answers it with the latest response registered for
+   * it by FakePg#onQuery(), or with no rows.
+   *
+   * @param {String|Object} textOrConfig
+   * @param {Array} [values]
+   * @param {Function} [callback]
+   *
+   * @return {Promise|undefined} A Promise, unless given a callback.
+   */
+  query(textOrConfig, values, callback) {
+    let params = values;
+    let cbfn = callback;
+
+    if (typeof values === 'function') {
+      params = undefined;
+      cbfn = values;
+    }
+
+    if (elv(textOrConfig) && typeof textOrConfig.submit === 'function') {
+      throw new Error(msg.submittable);
+    }
+
+    const config = (elv(textOrConfig) && typeof textOrConfig === 'object')
+      ? textOrConfig
+      : { text: textOrConfig };
+
+    let recorded = [];
+    if (Array.isArray(params)) recorded = params;
+    else if (Array.isArray(config.values)) recorded = config.values;
+
+    const record = {
+      repository: this.repository,
+      database: this.database,
+      text: config.text,
+      values: recorded,
+    };
+
+    this._fake.queries.push(record);
+
+    const result = this._fake._respond(record);
+
+    if (!elv(cbfn)) return result;
+
+    result.then(res => cbfn(null, res), err => cbfn(err));
+    return undefined;
+  }
+}
+
+
+/**
+ * A pool of the fake pg library, with the parts of pg.Pool's interface that
+ * the Connector uses.  Clients are reused once released, unless released
+ * with an error.
+ *
+ * @extends EventEmitter
+ *
+ * @param {FakePg} fake
+ * @param {Object} options The options the Connector created the pool with.
+ */
+class FakePool extends EventEmitter {
+  constructor(fake, options) {
+    super();
+    this.options = options;
+    this.ended = false;
+    this.checkedOut = new Set();
+    this._fake = fake;
+    this._idle = [];
+  }
+
+
+  get totalCount() {
+    return this.checkedOut.size + this._idle.length;
+  }
+
+
+  get idleCount() {
+    return this._idle.length;
+  }
+
+
+  // eslint-disable-next-line class-methods-use-this
+  get waitingCount() {
+    return 0;
+  }
+
+
+  /**
+   * @param {Function} [callback] Given an error, the client and a function
+   * that releases it.
+   *
+   * @return {Promise|undefined} A Promise of the client, unless given a
+   * callback.
+   */
+  connect(callback) {
+    const checkout = new Promise((resolve, reject) => {
+      if (this.ended) {
+        reject(new Error(msg.poolEnded));
+        return;
+      }
+
+      const client = (this._idle.length > 0)
+        ? this._idle.pop()
+        : new FakeClient(this._fake, this);
+
+      let released = false;
+
+      client.release = (err) => {
+        if (released) throw new Error(msg.doubleRelease);
+        released = true;
+
+        this.checkedOut.delete(client);
+        client.repository = null;
+        client.database = null;
+        if (!elv(err)) this._idle.push(client);
+      };
+
+      this.checkedOut.add(client);
+      resolve(client);
+    });
+
+    if (!elv(callback)) return checkout;
+
+    checkout.then(
+      client => callback(null, client, client.release),
+      err => callback(err)
+    );
+
+    return undefined;
+  }
+
+
+  /**
+   * Checks a client out, runs one query on it, and releases it.
+   *
+   * @return {Promise|undefined} A Promise, unless given a callback.
+   */
+  query(textOrConfig, values, callback) {
+    const cbfn = (typeof values === 'function') ? values : callback;
+    const params = (typeof values === 'function') ? undefined : values;
+
+    const result = this.connect()
+      .then(client => Promise.try(() => client.query(textOrConfig, params))
+        .finally(() => client.release()));
+
+    if (!elv(cbfn)) return result;
+
+    result.then(res => cbfn(null, res), err => cbfn(err));
+    return undefined;
+  }
+
+
+  /**
+   * @param {Function} [callback]
+   *
+   * @return {Promise|undefined} A Promise, unless given a callback.
+   */
+  end(callback) {
+    this.ended = true;
+    this._idle = [];
+
+    const ended = Promise.resolve();
+
+    if (!elv(callback)) return ended;
+
+    ended.then(() => callback());
+    return undefined;
+  }
+}
+
+
+/**
+ * Makes assertions about the queries matching a pattern.  Each assertion
+ * throws an AssertionError if it fails, and otherwise returns the
+ * expectation, so they can be chained.
+ *
+ * @param {FakePg} fake
+ * @param {String|RegExp|Function} pattern
+ * @param {Object} [options]
+ * @param {String} [options.repository] Only match queries of this
+ * repository.
+ */
+class QueryExpectation {
+  constructor(fake, pattern, options) {
+    this._fake = fake;
+    this._filter = toFilter(pattern, options);
+    this._description = describePattern(pattern);
+  }
+
+
+  /**
+   * The recorded queries that match.
+   *
+   * @return {Array}
+   */
+  get calls() {
+    return this._fake.queries.filter(this._filter);
+  }
+
+
+  toHaveBeenCalled() {
+    if (this.calls.length === 0) {
+      fail(`Expected a query matching ${this._description}, but none ran`);
+    }
+
+    return this;
+  }
+
+
+  toHaveBeenCalledTimes(times) {
+    if (!Number.isInteger(times) || times < 0) {
+      throw new TypeError(msg.argTimesInt);
+    }
+
+    const count = this.calls.length;
+
+    if (count !== times) {
+      fail(`Expected ${times} queries matching ${this._description}, but ` +
+        `${count} ran`);
+    }
+
+    return this;
+  }
+
+
+  /**
+   * @param {Array} values The expected parameters, compared deeply and
+   * strictly.
+   */
+  toHaveBeenCalledWith(values) {
+    const calls = this.calls;
+
+    if (!calls.some(call => isDeepEqual(call.values, values))) {
+      const ran = calls.map(call => JSON.stringify(call.values));
+
+      fail(`Expected a query matching ${this._description} with ` +
+        `${JSON.stringify(values)}, but it ran with: ` +
+        `${(ran.length > 0) ? ran.join(', ') : 'nothing'}`);
+    }
+
+    return this;
+  }
+}
+
+
+/**
+ * A fake "pg" library to give the Connector's constructor, so repository
+ * code can be tested without a database.  Every query is recorded, and
+ * answered with a canned result.
+ *
+ * @property {Function} Pool The fake Pool constructor.
+ * @property {Array} pools Every pool created, in order.
+ * @property {Array} queries Every query run, as objects with the keys
+ * repository, database, text and values.  The repository and database are
+ * null unless the Connector was given to attach().
+ */
+class FakePg {
+  constructor() {
+    const fake = this;
+
+    this.pools = [];
+    this.queries = [];
+    this._responses = [];
+
+    this.Pool = class Pool extends FakePool {
+      constructor(options) {
+        super(fake, options);
+        fake.pools.push(this);
+      }
+    };
+  }
+
+
+  /**
+   * Labels the queries of the Connector's clients with their repository and
+   * database.  Queries the Connector runs itself before a client is handed
+   * out, such as applying session settings, are not labeled.
+   *
+   * @param {Connector} connector
+   *
+   * @return {Connector}
+   */
+  attach(connector) {
+    if (!elv(connector) || typeof connector.use !== 'function') {
+      throw new TypeError(msg.argConnector);
+    }
+
+    return connector.use({
+      afterConnect: (context) => {
+        context.client.repository = context.repository;
+        context.client.database = context.database;
+      },
+    });
+  }
+
+
+  /**
+   * @param {String|RegExp|Function} pattern
+   * @param {Object} [options]
+   * @param {String} [options.repository]
+   *
+   * @return {QueryExpectation}
+   */
+  expectQuery(pattern, options) {
+    return new QueryExpectation(this, pattern, options);
+  }
+
+
+  /**
+   * Registers a response for the queries matching a pattern.  Strings match
+   * queries with the same text, ignoring whitespace, RegExps are tested
+   * against the text, and functions are given the text.  The latest
+   * matching response wins.  It answers with no rows until told otherwise.
+   *
+   * @param {String|RegExp|Function} pattern
+   * @param {Object} [options]
+   * @param {String} [options.repository] Only answer queries of this
+   * repository.
+   *
+   * @return {Object} With the methods resolves(rowsOrResult), rejects(err)
+   * and responds(fn), where fn is given the recorded query and may return
+   * rows, a result, or a Promise of either.  Each returns the same object.
+   */
+  onQuery(pattern, options) {
+    const response = {
+      filter: toFilter(pattern, options),
+      respond: () => [],
+    };
+
+    this._responses.push(response);
+
+    const api = {
+      resolves: (rowsOrResult) => {
+        response.respond = () => rowsOrResult;
+        return api;
+      },
+      rejects: (err) => {
+        response.respond = () => Promise.reject(err);
+        return api;
+      },
+      responds: (fn) => {
+        response.respond = fn;
+        return api;
+      },
+    };
+
+    return api;
+  }
+
+
+  /**
+   * Forgets every recorded query and registered response.
+   */
+  reset() {
+    this.queries = [];
+    this._responses = [];
+  }
+
+
+  /**
+   * Throws an AssertionError if any client is still checked out.
+   */
+  verifyReleased() {
+    const held = [];
+
+    this.pools.forEach((pool) => {
+      pool.checkedOut.forEach(client => held.push(client));
+    });
+
+    if (held.length === 0) return;
+
+    const names = held.map(client => ((elv(client.repository))
+      ? `${client.repository} (${client.database})`
+      : 'an unknown repository'));
+
+    fail(`Expected every client to be released, but ${held.length} ` +
+      `still checked out by: ${names.join(', ')}`);
+  }
+
+
+  /**
+   * @private
+   */
+  _respond(record) {
+    let response = null;
+
+    for (let i = this._responses.length - 1; i >= 0; i--) {
+      if (this._responses[i].filter(record)) {
+        response = this._responses[i];
+        break;
+      }
+    }
+
+    return Promise.try(() => ((elv(response)) ? response.respond(record) : []))
+      .then(toResult);
+  }
+}
+
+
+/**
+ * @module testing
+ */
+module.exports = {
+  FakeClient,
+  FakePg,
+  FakePool,
+  QueryExpectation,
+};
@@ -0,0 +1,215 @@
+'use strict';
+
+const elv = require('elv');
+const Promise = require('bluebird');
+
+
+const msg = {
+  argFn: 'Argument "fn" must be a function',
+  optDeferrableBool: 'Option "deferrable" must be a boolean',
+  optIsolationLevel: 'Option "isolationLevel" must be one of: ',
+  optReadOnlyBool: 'Option "readOnly" must be a boolean',
+};
+
+
+const isolationLevels = [
+  'READ UNCOMMITTED',
+  'READ COMMITTED',
+  'REPEATABLE READ',
+  'SERIALIZABLE',
+];
+
+
+// Tracks the managed transactions open on each client, innermost last.  A
+// new transaction on a client with any open must be a SAVEPOINT, and waits
+// for the other savepoints of the innermost one to be done with, since
+// savepoints cannot interleave.
+//
+const stacks = new WeakMap();
+
+
+// Clients that stand in for another client, such as a sandbox's, share the
+// depth of the client they stand in for.
+//
+const targets = new WeakMap();
+
+
+function keyOf(client) {
+  const target = targets.get(client);
+  return (elv(target)) ? target : client;
+}
+
+
+function normalizeIsolationLevel(level) {
+  if (!elv(level)) return null;
+  if (typeof level !== 'string') return undefined;
+
+  const normalized = level.trim().replace(/[\s_-]+/g, ' ').toUpperCase();
+  return (isolationLevels.indexOf(normalized) > -1) ? normalized : undefined;
+}
+
+
+function assertBoolean(value, message) {
+  if (elv(value) && typeof value !== 'boolean') throw new TypeError(message);
+}
+
+
+/**
+ * Throws a TypeError if the given transaction options are malformed.
+ *
+ * @param {Object} options
+ */
+function assertOptions(options) {
+  if (normalizeIsolationLevel(options.isolationLevel) === undefined) {
+    throw new TypeError(msg.optIsolationLevel + isolationLevels.join(', '));
+  }
+
+  assertBoolean(options.readOnly, msg.optReadOnlyBool);
+  assertBoolean(options.deferrable, msg.optDeferrableBool);
+}
+
+
+/**
+ * Builds the BEGIN statement for a top-level transaction.
+ *
+ * @param {Object} options
+ *
+ * @return {String}
+ */
+function beginStatement(options) {
+  const parts = ['BEGIN'];
+  const level = normalizeIsolationLevel(options.isolationLevel);
+
+  if (elv(level)) parts.push(`ISOLATION LEVEL ${level}`);
+  if (options.readOnly === true) parts.push('READ ONLY');
+  if (options.readOnly === false) parts.push('READ WRITE');
+  if (options.deferrable === true) parts.push('DEFERRABLE');
+  if (options.deferrable === false) parts.push('NOT DEFERRABLE');
+
+  return parts.join(' ');
+}
+
+
+/**
+ * Gets whether or not the client is inside a managed transaction.
+ *
+ * @param {*} client
+ *
+ * @return {Boolean}
+ */
+function isActive(client) {
+  return elv(client)
+         && typeof client === 'object'
+         && stacks.has(keyOf(client));
+}
+
+
+// Waits for every savepoint queued on a frame, including those queued while
+// waiting.
+//
+function drain(frame) {
+  const turn = frame.turn;
+  return turn.then(() => ((frame.turn === turn) ? undefined : drain(frame)));
+}
+
+
+/**
+ * @private
+ */
+function open(client, key, fn, options, onRollbackError) {
+  const stack = elv.coalesce(stacks.get(key), []);
+  const depth = stack.length;
+  const savepoint = `ts_pgconnector_${depth}`;
+  const nested = depth > 0;
+  const frame = { turn: Promise.resolve() };
+
+  const begin = (nested) ? `SAVEPOINT ${savepoint}` : beginStatement(options);
+  const commit = (nested) ? `RELEASE SAVEPOINT ${savepoint}` : 'COMMIT';
+  const rollback = (nested)
+    ? `ROLLBACK TO SAVEPOINT ${savepoint}`
+    : 'ROLLBACK';
+
+  const rollBack = err => Promise.resolve(client.query(rollback))
+    .then(() => {
+      throw err;
+    }, (rollbackErr) => {
+      if (elv(onRollbackError)) onRollbackError(rollbackErr);
+      throw err;
+    });
+
+  stack.push(frame);
+  stacks.set(key, stack);
+
+  // A savepoint that fails to be released leaves the transaction aborted, so
+  // it is rolled back to, and the transaction around it can carry on.
+  //
+  return Promise.try(() => client.query(begin))
+    .then(() => fn(client))
+    .finally(() => drain(frame))
+    .then(result => Promise.resolve(client.query(commit))
+      .then(() => result, (err) => {
+        if (!nested) throw err;
+        return rollBack(err);
+      }), rollBack)
+    .finally(() => {
+      stack.pop();
+      if (stack.length === 0) stacks.delete(key);
+    });
+}
+
+
+/**
+ * Runs fn inside a transaction on the given client.  If the client is already
+ * inside a managed transaction, a SAVEPOINT is used instead, once any other
+ * savepoint of the innermost transaction has been released or rolled back
+ * to.  The client is never released.
+ *
+ * @param {Client} client
+ * @param {Function} fn Given the client, and may return a Promise.
+ * @param {Object} options
+ * @param {Function} [onRollbackError] Called if rolling back fails, which
+ * usually means the connection is no longer usable.
+ *
+ * @return {Promise} Resolves to the value returned by fn.
+ */
+function run(client, fn, options, onRollbackError) {
+  if (typeof fn !== 'function') throw new TypeError(msg.argFn);
+
+  const key = keyOf(client);
+  const stack = stacks.get(key);
+
+  if (!elv(stack)) return open(client, key, fn, options, onRollbackError);
+
+  const parent = stack[stack.length - 1];
+  const opened = parent.turn
+    .then(() => open(client, key, fn, options, onRollbackError));
+
+  parent.turn = opened.reflect();
+  return opened;
+}
+
+
+/**
+ * Makes a client share the transaction state of another, so that while the
+ * other is inside a managed transaction, transactions run on the client
+ * become savepoints.
+ *
+ * @param {Object} client
+ * @param {Object} target
+ */
+function share(client, target) {
+  targets.set(client, target);
+}
+
+
+/**
+ * @module transaction
+ */
+module.exports = {
+  assertOptions,
+  beginStatement,
+  isActive,
+  isolationLevels,
+  run,
+  share,
+};
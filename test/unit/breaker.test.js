@@ -0,0 +1,140 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const breaker = require('../../lib/breaker');
+
+const CircuitBreaker = breaker.CircuitBreaker;
+
+
+describe('breaker', () => {
+  describe('.validate', () => {
+    it('should return null for valid options', function() {
+      assert.isNull(breaker.validate({ threshold: 2, resetTimeout: 0 }));
+    });
+
+    it('should return null for empty options', function() {
+      assert.isNull(breaker.validate({}));
+    });
+
+    it('should reject non-object options', function() {
+      assert.isString(breaker.validate(true));
+    });
+
+    it('should reject threshold less than 1', function() {
+      assert.isString(breaker.validate({ threshold: 0 }));
+    });
+
+    it('should reject negative resetTimeout', function() {
+      assert.isString(breaker.validate({ resetTimeout: -1 }));
+    });
+  });
+
+
+  describe('CircuitBreaker', () => {
+    beforeEach(function() {
+      this.changes = [];
+      this.breaker = new CircuitBreaker(
+        { threshold: 2, resetTimeout: 1000 },
+        (state, previous) => this.changes.push([previous, state])
+      );
+    });
+
+    it('should fill in defaults', function() {
+      const result = new CircuitBreaker({});
+
+      assert.strictEqual(result.threshold, breaker.defaults.threshold);
+      assert.strictEqual(result.resetTimeout, breaker.defaults.resetTimeout);
+    });
+
+    it('should start closed', function() {
+      assert.strictEqual(this.breaker.state, 'closed');
+      assert.isTrue(this.breaker.allow());
+    });
+
+    it('should open after threshold consecutive failures', function() {
+      this.breaker.failure();
+      assert.strictEqual(this.breaker.state, 'closed');
+
+      this.breaker.failure();
+      assert.strictEqual(this.breaker.state, 'open');
+      assert.isFalse(this.breaker.allow());
+      assert.deepEqual(this.changes, [['closed', 'open']]);
+    });
+
+    it('should reset the failure count on success', function() {
+      this.breaker.failure();
+      this.breaker.success();
+      this.breaker.failure();
+
+      assert.strictEqual(this.breaker.state, 'closed');
+    });
+
+    it('should report when it will let a probe through', function() {
+      assert.isNull(this.breaker.retryAt);
+
+      this.breaker.failure();
+      this.breaker.failure();
+
+      assert.strictEqual(
+        this.breaker.retryAt,
+        this.breaker.openedAt + this.breaker.resetTimeout
+      );
+    });
+
+    it('should half-open and allow one probe after resetTimeout', function() {
+      this.breaker.failure();
+      this.breaker.failure();
+      this.breaker.openedAt -= 1000;
+
+      assert.isTrue(this.breaker.allow());
+      assert.strictEqual(this.breaker.state, 'half-open');
+      assert.isFalse(this.breaker.allow());
+    });
+
+    it('should close when the probe succeeds', function() {
+      this.breaker.failure();
+      this.breaker.failure();
+      this.breaker.openedAt -= 1000;
+      this.breaker.allow();
+      this.breaker.success();
+
+      assert.strictEqual(this.breaker.state, 'closed');
+      assert.isTrue(this.breaker.allow());
+      assert.deepEqual(this.changes[2], ['half-open', 'closed']);
+    });
+
+    it('should reopen when the probe fails', function() {
+      this.breaker.failure();
+      this.breaker.failure();
+      this.breaker.openedAt -= 1000;
+      this.breaker.allow();
+      this.breaker.failure();
+
+      assert.strictEqual(this.breaker.state, 'open');
+      assert.isFalse(this.breaker.allow());
+      assert.deepEqual(this.changes[2], ['half-open', 'open']);
+    });
+
+    it('should allow another probe once one is skipped', function() {
+      this.breaker.failure();
+      this.breaker.failure();
+      this.breaker.openedAt -= 1000;
+      this.breaker.allow();
+      this.breaker.skip();
+
+      assert.strictEqual(this.breaker.state, 'half-open');
+      assert.isTrue(this.breaker.allow());
+    });
+
+    it('should describe itself in snapshot', function() {
+      this.breaker.failure();
+
+      assert.deepEqual(this.breaker.snapshot(), {
+        state: 'closed',
+        failures: 1,
+        retryAt: null,
+      });
+    });
+  });
+});
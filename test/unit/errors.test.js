@@ -4,8 +4,30 @@ const assert = require('chai').assert;
 
 const errors = require('../../lib/errors');
 
+const CircuitOpenError = errors.CircuitOpenError;
 const ConfigurationError = errors.ConfigurationError;
+const LockError = errors.LockError;
+const MigrationError = errors.MigrationError;
 const MissingRepositoryError = errors.MissingRepositoryError;
+const QueryResultError = errors.QueryResultError;
+const UnknownTenantError = errors.UnknownTenantError;
+
+
+describe('CircuitOpenError', () => {
+  it('should set message to end with database name', () => {
+    const result = new CircuitOpenError('test', 1000);
+    assert.isTrue(result.message.endsWith('test'));
+  });
+
+  it('should set data to database name and retry time', () => {
+    const result = new CircuitOpenError('test', 1000);
+    assert.deepEqual(result.data, { database: 'test', retryAt: 1000 });
+  });
+
+  it('should be an instance of Error', () => {
+    assert.instanceOf(new CircuitOpenError('test', 1000), Error);
+  });
+});
 
 
 describe('ConfigurationError', () => {
@@ -28,6 +50,43 @@ describe('ConfigurationError', () => {
 });
 
 
+describe('LockError', () => {
+  it('should set message to end with the key', () => {
+    const result = new LockError('jobs:nightly');
+    assert.isTrue(result.message.endsWith('jobs:nightly'));
+  });
+
+  it('should set data to the key', () => {
+    const result = new LockError(42);
+    assert.deepEqual(result.data, { key: 42 });
+  });
+
+  it('should be an instance of Error', () => {
+    assert.instanceOf(new LockError(42), Error);
+  });
+});
+
+
+describe('MigrationError', () => {
+  it('should set message to provided message', () => {
+    const msg = 'abc';
+    const result = new MigrationError(msg);
+    assert.strictEqual(result.message, msg);
+  });
+
+  it('should default message when not provided', () => {
+    const result = new MigrationError();
+    assert.strictEqual(result.message, MigrationError.defaultMessage);
+  });
+
+  it('should set data value when provided', () => {
+    const dataz = { version: 1, name: 'init' };
+    const result = new MigrationError(null, dataz);
+    assert.strictEqual(result.data, dataz);
+  });
+});
+
+
 describe('MissingRepositoryError', () => {
   it('should set message to end with repository name', () => {
     const repo = 'test';
@@ -41,3 +100,41 @@ describe('MissingRepositoryError', () => {
     assert.strictEqual(result.data, repo);
   });
 });
+
+
+describe('QueryResultError', () => {
+  it('should set message to provided message', () => {
+    const msg = 'abc';
+    const result = new QueryResultError(msg);
+    assert.strictEqual(result.message, msg);
+  });
+
+  it('should default message when not provided', () => {
+    const result = new QueryResultError();
+    assert.strictEqual(result.message, QueryResultError.defaultMessage);
+  });
+
+  it('should set data value when provided', () => {
+    const dataz = { rowCount: 2 };
+    const result = new QueryResultError(null, dataz);
+    assert.strictEqual(result.data, dataz);
+  });
+});
+
+
+describe('UnknownTenantError', () => {
+  it('should name the tenant and repository in the message', () => {
+    const result = new UnknownTenantError('orders', 'acme');
+    assert.include(result.message, 'acme');
+    assert.include(result.message, 'orders');
+  });
+
+  it('should set data to repository and tenant names', () => {
+    const result = new UnknownTenantError('orders', 'acme');
+    assert.deepEqual(result.data, { repository: 'orders', tenant: 'acme' });
+  });
+
+  it('should be an instance of Error', () => {
+    assert.instanceOf(new UnknownTenantError('orders', 'acme'), Error);
+  });
+});
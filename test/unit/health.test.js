@@ -0,0 +1,156 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Bluebird = require('bluebird');
+
+const health = require('../../lib/health');
+
+
+class MockClient {
+  constructor(inRecovery) {
+    this.inRecovery = inRecovery;
+  }
+
+  query() {
+    return Promise.resolve({ rows: [{ ok: 1, in_recovery: this.inRecovery }] });
+  }
+}
+
+
+class MockPool {
+  constructor(inRecovery) {
+    this.inRecovery = inRecovery;
+    this.totalCount = 2;
+    this.idleCount = 1;
+    this.waitingCount = 0;
+    this.released = 0;
+  }
+
+  connect(callback) {
+    setImmediate(callback, null, new MockClient(this.inRecovery), () => {
+      this.released++;
+    });
+  }
+}
+
+
+class MockFailPool {
+  /* eslint-disable class-methods-use-this */
+  connect(callback) {
+    setImmediate(callback, new Error('ECONNREFUSED'));
+  }
+  /* eslint-enable class-methods-use-this */
+}
+
+
+class MockHangPool {
+  /* eslint-disable class-methods-use-this */
+  connect() {}
+  /* eslint-enable class-methods-use-this */
+}
+
+
+class MockResponse {
+  constructor(onEnd) {
+    this.onEnd = onEnd;
+  }
+
+  writeHead(statusCode, headers) {
+    this.statusCode = statusCode;
+    this.headers = headers;
+  }
+
+  end(body) {
+    this.body = body;
+    this.onEnd(this);
+  }
+}
+
+
+describe('health', () => {
+  describe('.probe', () => {
+    it('should return a bluebird Promise', function() {
+      const result = health.probe(new MockPool(false), 100);
+      assert.instanceOf(result, Bluebird);
+    });
+
+    it('should resolve healthy primary status', function() {
+      const pool = new MockPool(false);
+
+      return health.probe(pool, 100)
+        .then((status) => {
+          assert.isTrue(status.healthy);
+          assert.strictEqual(status.role, 'primary');
+          assert.isNull(status.error);
+          assert.isNumber(status.latency);
+          assert.deepEqual(status.pool, { total: 2, idle: 1, waiting: 0 });
+          assert.strictEqual(pool.released, 1);
+        });
+    });
+
+    it('should detect replica role from recovery', function() {
+      return health.probe(new MockPool(true), 100)
+        .then((status) => {
+          assert.strictEqual(status.role, 'replica');
+        });
+    });
+
+    it('should resolve unhealthy status on connection error', function() {
+      return health.probe(new MockFailPool(), 100)
+        .then((status) => {
+          assert.isFalse(status.healthy);
+          assert.strictEqual(status.error, 'ECONNREFUSED');
+        });
+    });
+
+    it('should resolve unhealthy status on timeout', function() {
+      return health.probe(new MockHangPool(), 5)
+        .then((status) => {
+          assert.isFalse(status.healthy);
+          assert.include(status.error, 'timed out');
+        });
+    });
+  });
+
+
+  describe('.handler', () => {
+    it('should respond 200 with report when healthy', function(done) {
+      const handler = health.handler(() => ({ healthy: true }));
+
+      handler({ method: 'GET' }, new MockResponse((res) => {
+        assert.strictEqual(res.statusCode, 200);
+        assert.deepEqual(JSON.parse(res.body), { healthy: true });
+        done();
+      }));
+    });
+
+    it('should respond 503 when unhealthy', function(done) {
+      const handler = health.handler(() => Promise.resolve({ healthy: false }));
+
+      handler({ method: 'GET' }, new MockResponse((res) => {
+        assert.strictEqual(res.statusCode, 503);
+        done();
+      }));
+    });
+
+    it('should respond 500 when check fails', function(done) {
+      const handler = health.handler(() => {
+        throw new Error('nope');
+      });
+
+      handler({ method: 'GET' }, new MockResponse((res) => {
+        assert.strictEqual(res.statusCode, 500);
+        done();
+      }));
+    });
+
+    it('should not send a body for HEAD requests', function(done) {
+      const handler = health.handler(() => ({ healthy: true }));
+
+      handler({ method: 'HEAD' }, new MockResponse((res) => {
+        assert.isUndefined(res.body);
+        done();
+      }));
+    });
+  });
+});
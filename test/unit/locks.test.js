@@ -0,0 +1,304 @@
+'use strict';
+
+const assert = require('chai').assert;
+const elv = require('elv');
+const EventEmitter = require('events').EventEmitter;
+
+const locks = require('../../lib/locks');
+
+
+// Answers lock functions with the "locked" it was given, and fails queries
+// whose text matches the "failing" RegExp with an error of the given code.
+//
+class MockClient extends EventEmitter {
+  constructor(locked, failing, code) {
+    super();
+    this.queries = [];
+    this.locked = locked;
+    this.failing = failing;
+    this.code = code;
+  }
+
+  query(config, values) {
+    const text = (typeof config === 'string') ? config : config.text;
+    const params = (typeof config === 'string') ? values : config.values;
+
+    this.queries.push({ text, values: params });
+
+    if (elv(this.failing) && this.failing.test(text)) {
+      const err = new Error('Query failed');
+      err.code = this.code;
+      return Promise.reject(err);
+    }
+
+    if (/current_setting/.test(text)) {
+      return Promise.resolve({ rows: [{ previous: '5s' }] });
+    }
+
+    return Promise.resolve({ rows: [{ locked: this.locked }] });
+  }
+}
+
+
+describe('locks', () => {
+  describe('.assertKey', () => {
+    it('should throw if key not a non-empty string or safe integer', () => {
+      [undefined, '', 1.5, Math.pow(2, 60), {}].forEach((key) => {
+        assert.throws(() => {
+          locks.assertKey(key);
+        }, TypeError);
+      });
+    });
+
+    it('should not throw for strings and integers', () => {
+      assert.doesNotThrow(() => {
+        locks.assertKey('jobs:nightly');
+        locks.assertKey(-42);
+      });
+    });
+  });
+
+
+  describe('.assertOptions', () => {
+    it('should throw if wait not a boolean', () => {
+      assert.throws(() => {
+        locks.assertOptions({ wait: 'yes' });
+      }, TypeError);
+    });
+
+    it('should throw if shared not a boolean', () => {
+      assert.throws(() => {
+        locks.assertOptions({ shared: 1 });
+      }, TypeError);
+    });
+
+    it('should throw if timeout not a non-negative number', () => {
+      assert.throws(() => {
+        locks.assertOptions({ timeout: -1 });
+      }, TypeError);
+    });
+  });
+
+
+  describe('.acquire', () => {
+    it('should hash string keys to a bigint', () => {
+      const client = new MockClient(true);
+
+      return locks.acquire(client, 'jobs', {})
+        .then((locked) => {
+          assert.isTrue(locked);
+          assert.strictEqual(client.queries[0].text,
+            'SELECT pg_advisory_lock((\'x\' || $1)::bit(64)::bigint) ' +
+            'AS locked');
+          assert.match(client.queries[0].values[0], /^[0-9a-f]{16}$/);
+        });
+    });
+
+    it('should hash the same key the same way', () => {
+      const client = new MockClient(true);
+
+      return locks.acquire(client, 'jobs', {})
+        .then(() => locks.acquire(client, 'jobs', {}))
+        .then(() => locks.acquire(client, 'mail', {}))
+        .then(() => {
+          const values = client.queries.map(query => query.values[0]);
+
+          assert.strictEqual(values[0], values[1]);
+          assert.notStrictEqual(values[0], values[2]);
+        });
+    });
+
+    it('should pass integer keys as they are', () => {
+      const client = new MockClient(true);
+
+      return locks.acquire(client, -42, { shared: true })
+        .then(() => {
+          assert.deepEqual(client.queries, [{
+            text: 'SELECT pg_advisory_lock_shared($1::bigint) AS locked',
+            values: ['-42'],
+          }]);
+        });
+    });
+
+    it('should try once when not waiting', () => {
+      const client = new MockClient(false);
+
+      return locks.acquire(client, 7, { wait: false })
+        .then((locked) => {
+          assert.isFalse(locked);
+          assert.match(client.queries[0].text, /pg_try_advisory_lock\(/);
+        });
+    });
+
+    it('should bound the wait with lock_timeout, and restore it', () => {
+      const client = new MockClient(true);
+
+      return locks.acquire(client, 7, { timeout: 250 })
+        .then((locked) => {
+          assert.isTrue(locked);
+          assert.deepEqual(client.queries.map(query => query.values), [
+            ['250ms'],
+            ['7'],
+            ['5s'],
+          ]);
+        });
+    });
+
+    it('should resolve to false when lock_timeout runs out', () => {
+      const client = new MockClient(true, /pg_advisory_lock/, '55P03');
+
+      return locks.acquire(client, 7, { timeout: 250 })
+        .then((locked) => {
+          assert.isFalse(locked);
+          assert.deepEqual(client.queries[2].values, ['5s']);
+        });
+    });
+
+    it('should reject with other errors', () => {
+      const client = new MockClient(true, /pg_advisory_lock/, '57P01');
+
+      return locks.acquire(client, 7, { timeout: 250 })
+        .then(() => {
+          assert.fail('acquire() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.code, '57P01');
+        });
+    });
+
+    it('should restore lock_timeout when rejecting', () => {
+      const client = new MockClient(true, /pg_advisory_lock/, '40P01');
+
+      return locks.acquire(client, 7, { timeout: 250 })
+        .then(() => {
+          assert.fail('acquire() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.code, '40P01');
+          assert.lengthOf(client.queries, 3);
+          assert.deepEqual(client.queries[2].values, ['5s']);
+        });
+    });
+
+    it('should reject if lock_timeout cannot be restored', () => {
+      const client = new MockClient(true, /^SELECT set_config/, '57P01');
+
+      return locks.acquire(client, 7, { timeout: 250 })
+        .then(() => {
+          assert.fail('acquire() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.code, '57P01');
+          assert.match(client.queries[1].text, /pg_advisory_lock\(/);
+        });
+    });
+  });
+
+
+  describe('.run', () => {
+    it('should run fn holding the lock, then unlock', () => {
+      const client = new MockClient(true);
+
+      return locks.run(client, 7, () => {
+        assert.lengthOf(client.queries, 1);
+        return 'done';
+      }, {})
+        .then((outcome) => {
+          assert.deepEqual(outcome, { locked: true, result: 'done' });
+          assert.match(client.queries[1].text, /pg_advisory_unlock\(/);
+        });
+    });
+
+    it('should unlock when fn fails', () => {
+      const client = new MockClient(true);
+
+      return locks.run(client, 7, () => {
+        throw new Error('Job failed');
+      }, { shared: true })
+        .then(() => {
+          assert.fail('run() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.message, 'Job failed');
+          assert.match(client.queries[1].text, /pg_advisory_unlock_shared\(/);
+        });
+    });
+
+    it('should not call fn if the lock is held elsewhere', () => {
+      const client = new MockClient(false);
+      let called = false;
+
+      return locks.run(client, 7, () => {
+        called = true;
+      }, { wait: false })
+        .then((outcome) => {
+          assert.deepEqual(outcome, { locked: false });
+          assert.isFalse(called);
+          assert.lengthOf(client.queries, 1);
+        });
+    });
+
+    it('should call onUnlockError if unlocking fails', () => {
+      const client = new MockClient(true, /unlock/);
+      const errs = [];
+
+      return locks.run(client, 7, () => 'done', {}, err => errs.push(err))
+        .then((outcome) => {
+          assert.strictEqual(outcome.result, 'done');
+          assert.lengthOf(errs, 1);
+        });
+    });
+  });
+
+
+  describe('Leadership', () => {
+    beforeEach(function() {
+      this.client = new MockClient(true);
+      this.released = [];
+      this.ended = [];
+      this.leadership = new locks.Leadership(
+        this.client,
+        err => this.released.push(err),
+        'leader',
+        leadership => this.ended.push(leadership)
+      );
+    });
+
+    it('should unlock and give the client back when released', function() {
+      return this.leadership.release()
+        .then(() => this.leadership.release())
+        .then(() => {
+          assert.isFalse(this.leadership.held);
+          assert.lengthOf(this.client.queries, 1);
+          assert.match(this.client.queries[0].text, /pg_advisory_unlock\(/);
+          assert.deepEqual(this.released, [undefined]);
+          assert.deepEqual(this.ended, [this.leadership]);
+          assert.strictEqual(this.client.listenerCount('error'), 0);
+        });
+    });
+
+    it('should emit lost, and destroy the client, if it errors', function() {
+      const lost = [];
+      const err = new Error('Connection terminated');
+
+      this.leadership.on('lost', e => lost.push(e));
+      this.client.emit('error', err);
+
+      assert.isFalse(this.leadership.held);
+      assert.deepEqual(lost, [err]);
+      assert.deepEqual(this.released, [err]);
+      assert.deepEqual(this.ended, [this.leadership]);
+
+      return this.leadership.release()
+        .then(() => {
+          assert.lengthOf(this.client.queries, 0);
+        });
+    });
+
+    it('should emit lost if the connection ends', function() {
+      const lost = [];
+
+      this.leadership.on('lost', e => lost.push(e));
+      this.client.emit('end');
+
+      assert.lengthOf(lost, 1);
+      assert.match(lost[0].message, /was lost/);
+    });
+  });
+});
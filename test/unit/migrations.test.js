@@ -0,0 +1,410 @@
+'use strict';
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const errors = require('../../lib/errors');
+const migrations = require('../../lib/migrations');
+
+
+// Keeps the rows of the migrations table in memory.  Queries starting with
+// the text in failOn are rejected.
+//
+class MockClient {
+  constructor(rows) {
+    this.rows = rows || [];
+    this.queries = [];
+    this.failOn = null;
+  }
+
+  query(text, values) {
+    this.queries.push(text);
+
+    if (this.failOn !== null && text.indexOf(this.failOn) === 0) {
+      return Promise.reject(new Error(`Failed: ${text}`));
+    }
+
+    if (text.indexOf('SELECT version') === 0) {
+      return Promise.resolve({ rows: this.rows.slice() });
+    }
+
+    if (text.indexOf('INSERT INTO') === 0) {
+      this.rows.push({
+        version: String(values[0]),
+        name: values[1],
+        checksum: values[2],
+        applied_at: new Date(0),
+      });
+    }
+
+    if (text.indexOf('DELETE FROM') === 0) {
+      this.rows = this.rows.filter(row => row.version !== String(values[0]));
+    }
+
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  }
+}
+
+
+describe('migrations', () => {
+  beforeEach(function() {
+    this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgconnector-'));
+    this.write = (name, text) => {
+      fs.writeFileSync(path.join(this.dir, name), text);
+    };
+
+    // Rows for every migration loaded, as if they had all been applied.
+    //
+    this.applied = loaded => loaded.map(migration => ({
+      version: String(migration.version),
+      name: migration.name,
+      checksum: migration.checksum,
+      applied_at: new Date(0),
+    }));
+
+    this.write('1_users.sql', 'CREATE TABLE users');
+    this.write('1_users.down.sql', 'DROP TABLE users');
+    this.write('2_orders.sql', 'CREATE TABLE orders');
+    this.write('README.md', 'Not a migration');
+  });
+
+  afterEach(function() {
+    fs.readdirSync(this.dir).forEach((name) => {
+      fs.unlinkSync(path.join(this.dir, name));
+    });
+    fs.rmdirSync(this.dir);
+  });
+
+
+  describe('.assertOptions', () => {
+    it('should throw if directory not a non-empty string', function() {
+      assert.throws(() => {
+        migrations.assertOptions({});
+      }, TypeError);
+
+      assert.throws(() => {
+        migrations.assertOptions({ directory: '' });
+      }, TypeError);
+    });
+
+    it('should throw if command unknown', function() {
+      assert.throws(() => {
+        migrations.assertOptions({ directory: 'db', command: 'down' });
+      }, TypeError);
+    });
+
+    it('should throw if steps not a positive integer', function() {
+      assert.throws(() => {
+        migrations.assertOptions({ directory: 'db', steps: 0 });
+      }, TypeError);
+
+      assert.throws(() => {
+        migrations.assertOptions({ directory: 'db', steps: 1.5 });
+      }, TypeError);
+    });
+
+    it('should throw if table has more than one qualifier', function() {
+      assert.throws(() => {
+        migrations.assertOptions({ directory: 'db', table: 'a.b.c' });
+      }, TypeError);
+    });
+
+    it('should not throw for valid options', function() {
+      assert.doesNotThrow(() => {
+        migrations.assertOptions({
+          directory: 'db',
+          command: 'rollback',
+          steps: 2,
+          table: 'audit.migrations',
+        });
+      });
+    });
+  });
+
+
+  describe('.load', () => {
+    it('should order migrations by numeric version', function() {
+      this.write('10_invoices.sql', 'CREATE TABLE invoices');
+
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          assert.deepEqual(
+            loaded.map(migration => [migration.version, migration.name]),
+            [[1, 'users'], [2, 'orders'], [10, 'invoices']]
+          );
+        });
+    });
+
+    it('should pair down files and checksum the up file', function() {
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          assert.isFunction(loaded[0].down);
+          assert.isNull(loaded[1].down);
+          assert.match(loaded[0].checksum, /^[0-9a-f]{64}$/);
+          assert.notStrictEqual(loaded[0].checksum, loaded[1].checksum);
+        });
+    });
+
+    it('should require JavaScript migrations', function() {
+      this.write('3_backfill.js', [
+        'exports.up = client => client.query(\'UPDATE users\');',
+        'exports.down = client => client.query(\'UPDATE users BACK\');',
+      ].join('\n'));
+
+      const client = new MockClient();
+
+      return migrations.load(this.dir)
+        .then(loaded => loaded[2].up(client).then(() => loaded[2].down(client)))
+        .then(() => {
+          assert.deepEqual(client.queries, [
+            'UPDATE users',
+            'UPDATE users BACK',
+          ]);
+        });
+    });
+
+    it('should reject if a JavaScript migration has no up()', function() {
+      this.write('3_backfill.js', 'exports.down = () => {};');
+
+      return migrations.load(this.dir)
+        .then(() => {
+          assert.fail('load() should have failed');
+        }, (err) => {
+          assert.instanceOf(err, errors.MigrationError);
+        });
+    });
+
+    it('should reject if two migrations share a version', function() {
+      this.write('2_invoices.sql', 'CREATE TABLE invoices');
+
+      return migrations.load(this.dir)
+        .then(() => {
+          assert.fail('load() should have failed');
+        }, (err) => {
+          assert.instanceOf(err, errors.MigrationError);
+          assert.strictEqual(err.data.version, 2);
+        });
+    });
+
+    it('should reject down files without an up file', function() {
+      this.write('3_invoices.down.sql', 'DROP TABLE invoices');
+
+      return migrations.load(this.dir)
+        .then(() => {
+          assert.fail('load() should have failed');
+        }, (err) => {
+          assert.instanceOf(err, errors.MigrationError);
+        });
+    });
+  });
+
+
+  describe('.status', () => {
+    it('should describe the state of every migration', function() {
+      const loaded = [
+        { version: 1, name: 'users', checksum: 'a' },
+        { version: 2, name: 'orders', checksum: 'b' },
+        { version: 4, name: 'refunds', checksum: 'd' },
+      ];
+      const at = new Date(0);
+      const applied = [
+        { version: 1, name: 'users', checksum: 'a', appliedAt: at },
+        { version: 2, name: 'orders', checksum: 'x', appliedAt: at },
+        { version: 3, name: 'invoices', checksum: 'c', appliedAt: at },
+      ];
+
+      assert.deepEqual(migrations.status(loaded, applied), [
+        { version: 1, name: 'users', state: 'applied', appliedAt: at },
+        { version: 2, name: 'orders', state: 'changed', appliedAt: at },
+        { version: 3, name: 'invoices', state: 'missing', appliedAt: at },
+        { version: 4, name: 'refunds', state: 'pending', appliedAt: null },
+      ]);
+    });
+  });
+
+
+  describe('.run', () => {
+    it('should apply pending migrations while holding the lock', function() {
+      const client = new MockClient();
+      const steps = [];
+
+      return migrations.load(this.dir)
+        .then(loaded => migrations.run(client, loaded, {}, (info) => {
+          steps.push([info.direction, info.version, info.name]);
+        }))
+        .then((result) => {
+          assert.deepEqual(result, [
+            { version: 1, name: 'users' },
+            { version: 2, name: 'orders' },
+          ]);
+          assert.deepEqual(steps, [['up', 1, 'users'], ['up', 2, 'orders']]);
+          assert.strictEqual(
+            client.queries[0],
+            'SELECT pg_advisory_lock(hashtext($1))'
+          );
+          assert.match(
+            client.queries[1],
+            /^CREATE TABLE IF NOT EXISTS "pgconnector_migrations"/
+          );
+          assert.deepEqual(client.queries.slice(3), [
+            'BEGIN',
+            'CREATE TABLE users',
+            'INSERT INTO "pgconnector_migrations" (version, name, checksum) ' +
+              'VALUES ($1, $2, $3)',
+            'COMMIT',
+            'BEGIN',
+            'CREATE TABLE orders',
+            'INSERT INTO "pgconnector_migrations" (version, name, checksum) ' +
+              'VALUES ($1, $2, $3)',
+            'COMMIT',
+            'SELECT pg_advisory_unlock(hashtext($1))',
+          ]);
+        });
+    });
+
+    it('should skip applied migrations', function() {
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          const client = new MockClient(this.applied(loaded.slice(0, 1)));
+
+          return migrations.run(client, loaded, {})
+            .then((result) => {
+              assert.deepEqual(result, [{ version: 2, name: 'orders' }]);
+              assert.notInclude(client.queries, 'CREATE TABLE users');
+            });
+        });
+    });
+
+    it('should quote a schema-qualified table', function() {
+      const client = new MockClient();
+
+      return migrations.load(this.dir)
+        .then(loaded => migrations.run(client, loaded, {
+          table: 'audit.migrations',
+        }))
+        .then(() => {
+          assert.match(
+            client.queries[1],
+            /^CREATE TABLE IF NOT EXISTS "audit"\."migrations"/
+          );
+        });
+    });
+
+    it('should reject if an applied migration has changed', function() {
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          const rows = this.applied(loaded);
+          rows[0].checksum = 'tampered';
+
+          const client = new MockClient(rows);
+
+          return migrations.run(client, loaded, {})
+            .then(() => {
+              assert.fail('run() should have failed');
+            }, (err) => {
+              assert.instanceOf(err, errors.MigrationError);
+              assert.deepEqual(err.data, { version: 1, name: 'users' });
+              assert.strictEqual(
+                client.queries[client.queries.length - 1],
+                'SELECT pg_advisory_unlock(hashtext($1))'
+              );
+            });
+        });
+    });
+
+    it('should reject if an applied migration has no file', function() {
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          const client = new MockClient(this.applied(loaded));
+          return migrations.run(client, loaded.slice(1), {});
+        })
+        .then(() => {
+          assert.fail('run() should have failed');
+        }, (err) => {
+          assert.instanceOf(err, errors.MigrationError);
+          assert.strictEqual(err.data.version, 1);
+        });
+    });
+
+    it('should roll back a failed migration and stop', function() {
+      const client = new MockClient();
+      client.failOn = 'CREATE TABLE orders';
+
+      return migrations.load(this.dir)
+        .then(loaded => migrations.run(client, loaded, {}))
+        .then(() => {
+          assert.fail('run() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.message, 'Failed: CREATE TABLE orders');
+          assert.deepEqual(client.queries.slice(-3), [
+            'CREATE TABLE orders',
+            'ROLLBACK',
+            'SELECT pg_advisory_unlock(hashtext($1))',
+          ]);
+        });
+    });
+
+    it('should roll back the latest migrations', function() {
+      this.write('2_orders.down.sql', 'DROP TABLE orders');
+
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          const client = new MockClient(this.applied(loaded));
+          const steps = [];
+
+          return migrations.run(client, loaded, {
+            command: 'rollback',
+            steps: 2,
+          }, info => steps.push([info.direction, info.version]))
+            .then((result) => {
+              assert.deepEqual(result, [
+                { version: 2, name: 'orders' },
+                { version: 1, name: 'users' },
+              ]);
+              assert.deepEqual(steps, [['down', 2], ['down', 1]]);
+              assert.lengthOf(client.rows, 0);
+              assert.isBelow(
+                client.queries.indexOf('DROP TABLE orders'),
+                client.queries.indexOf('DROP TABLE users')
+              );
+            });
+        });
+    });
+
+    it('should reject rollback of a migration without a down', function() {
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          const client = new MockClient(this.applied(loaded));
+
+          return migrations.run(client, loaded, { command: 'rollback' })
+            .then(() => {
+              assert.fail('run() should have failed');
+            }, (err) => {
+              assert.instanceOf(err, errors.MigrationError);
+              assert.strictEqual(err.data.version, 2);
+              assert.notInclude(client.queries, 'BEGIN');
+            });
+        });
+    });
+
+    it('should report status without verifying', function() {
+      return migrations.load(this.dir)
+        .then((loaded) => {
+          const rows = this.applied(loaded.slice(0, 1));
+          rows[0].checksum = 'tampered';
+
+          return migrations.run(new MockClient(rows), loaded, {
+            command: 'status',
+          });
+        })
+        .then((result) => {
+          assert.deepEqual(result.map(migration => migration.state), [
+            'changed',
+            'pending',
+          ]);
+        });
+    });
+  });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('chai').assert;
+const EventEmitter = require('events').EventEmitter;
+const Promise = require('bluebird');
+
+const Listener = require('../../lib/notifications').Listener;
+const retry = require('../../lib/retry');
+
+
+class MockClient extends EventEmitter {
+  constructor(failConnect) {
+    super();
+    this.queries = [];
+    this.ended = false;
+    this.failConnect = failConnect;
+  }
+
+  connect(callback) {
+    setImmediate(callback, (this.failConnect)
+      ? new Error('Cannot connect')
+      : null);
+  }
+
+  query(text) {
+    this.queries.push(text);
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  }
+
+  end(callback) {
+    this.ended = true;
+    setImmediate(callback);
+  }
+
+  notify(channel, payload) {
+    this.emit('notification', { channel, payload, processId: 42 });
+  }
+}
+
+
+describe('notifications', () => {
+  describe('Listener', () => {
+    beforeEach(function() {
+      this.clients = [];
+      this.failures = { remaining: 0 };
+      this.events = [];
+      this.listener = new Listener(
+        () => {
+          const client = new MockClient(this.failures.remaining > 0);
+          if (this.failures.remaining > 0) this.failures.remaining--;
+          this.clients.push(client);
+          return client;
+        },
+        retry.normalize({ baseDelay: 1, maxDelay: 1, jitter: 0 }),
+        info => this.events.push(info)
+      );
+    });
+
+    afterEach(function() {
+      return this.listener.close();
+    });
+
+
+    describe('#subscribe', () => {
+      it('should listen to each channel once, on one connection', function() {
+        return Promise.all([
+          this.listener.subscribe('jobs', () => {}),
+          this.listener.subscribe('jobs', () => {}),
+          this.listener.subscribe('say "hi"', () => {}),
+        ])
+          .then(() => {
+            assert.lengthOf(this.clients, 1);
+            assert.deepEqual(this.clients[0].queries, [
+              'LISTEN "jobs"',
+              'LISTEN "say ""hi"""',
+            ]);
+            assert.deepEqual(this.listener.channels, ['jobs', 'say "hi"']);
+            assert.deepEqual(this.events, [{ state: 'connected', attempt: 0 }]);
+          });
+      });
+
+      it('should call the handlers of the notification\'s channel', function() {
+        const seen = [];
+
+        return Promise.all([
+          this.listener.subscribe('jobs', message => seen.push(message)),
+          this.listener.subscribe('mail', () => seen.push('mail')),
+        ])
+          .then(() => {
+            this.clients[0].notify('jobs', '1');
+
+            assert.deepEqual(seen, [
+              { channel: 'jobs', payload: '1', processId: 42 },
+            ]);
+          });
+      });
+
+      it('should reject and drop the channel if connecting fails', function() {
+        this.failures.remaining = 1;
+
+        return this.listener.subscribe('jobs', () => {})
+          .then(() => {
+            assert.fail('subscribe() should have failed');
+          }, (err) => {
+            assert.strictEqual(err.message, 'Cannot connect');
+            assert.lengthOf(this.listener.channels, 0);
+            assert.isTrue(this.clients[0].ended);
+          });
+      });
+
+      it('should reject once closed', function() {
+        return this.listener.close()
+          .then(() => this.listener.subscribe('jobs', () => {}))
+          .then(() => {
+            assert.fail('subscribe() should have failed');
+          }, (err) => {
+            assert.match(err.message, /closed/);
+            assert.lengthOf(this.clients, 0);
+          });
+      });
+    });
+
+
+    describe('#unsubscribe', () => {
+      beforeEach(function() {
+        this.first = () => {};
+        this.second = () => {};
+
+        return Promise.all([
+          this.listener.subscribe('jobs', this.first),
+          this.listener.subscribe('jobs', this.second),
+          this.listener.subscribe('mail', this.first),
+        ]);
+      });
+
+      it('should UNLISTEN once a channel has no handlers', function() {
+        return this.listener.unsubscribe('jobs', this.first)
+          .then(() => {
+            assert.lengthOf(this.clients[0].queries, 2);
+            return this.listener.unsubscribe('jobs', this.second);
+          })
+          .then(() => {
+            assert.strictEqual(this.clients[0].queries[2], 'UNLISTEN "jobs"');
+            assert.deepEqual(this.listener.channels, ['mail']);
+          });
+      });
+
+      it('should close the connection once no channel is left', function() {
+        return Promise.all([
+          this.listener.unsubscribe('jobs', this.first),
+          this.listener.unsubscribe('jobs', this.second),
+          this.listener.unsubscribe('mail', this.first),
+        ])
+          .then(() => {
+            assert.isTrue(this.clients[0].ended);
+            return this.listener.subscribe('jobs', this.first);
+          })
+          .then(() => {
+            assert.lengthOf(this.clients, 2);
+            assert.deepEqual(this.clients[1].queries, ['LISTEN "jobs"']);
+          });
+      });
+
+      it('should ignore handlers that are not subscribed', function() {
+        return this.listener.unsubscribe('jobs', () => {})
+          .then(() => {
+            assert.lengthOf(this.clients[0].queries, 2);
+          });
+      });
+    });
+
+
+    describe('reconnecting', () => {
+      beforeEach(function() {
+        return Promise.all([
+          this.listener.subscribe('jobs', () => {}),
+          this.listener.subscribe('mail', () => {}),
+        ]);
+      });
+
+      it('should listen to every channel again', function() {
+        const lost = new Error('Connection terminated');
+
+        this.failures.remaining = 1;
+        this.clients[0].emit('error', lost);
+
+        return Promise.delay(20)
+          .then(() => {
+            assert.isTrue(this.clients[0].ended);
+            assert.lengthOf(this.clients, 3);
+            assert.deepEqual(this.clients[2].queries, [
+              'LISTEN "jobs"',
+              'LISTEN "mail"',
+            ]);
+            assert.deepEqual(this.events.slice(1), [
+              { state: 'reconnecting', attempt: 1, delay: 1, error: lost },
+              {
+                state: 'reconnecting',
+                attempt: 2,
+                delay: 1,
+                error: this.events[2].error,
+              },
+              { state: 'connected', attempt: 2 },
+            ]);
+            assert.strictEqual(this.events[2].error.message, 'Cannot connect');
+          });
+      });
+
+      it('should reconnect when the connection ends', function() {
+        this.clients[0].emit('end');
+
+        return Promise.delay(20)
+          .then(() => {
+            assert.lengthOf(this.clients, 2);
+            assert.match(this.events[1].error.message, /ended unexpectedly/);
+          });
+      });
+
+      it('should stop reconnecting once closed', function() {
+        this.clients[0].emit('end');
+
+        return this.listener.close()
+          .then(() => Promise.delay(20))
+          .then(() => {
+            assert.lengthOf(this.clients, 1);
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,323 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const plugins = require('../../lib/plugins');
+
+
+class MockClient {
+  constructor() {
+    this.queries = [];
+  }
+
+  // "FAIL" rejects, and anything else resolves with the config it was given.
+  //
+  query(config) {
+    this.queries.push(config);
+
+    if (config.text === 'FAIL') {
+      return Promise.reject(new Error('Query failed'));
+    }
+
+    return Promise.resolve({ rows: [], rowCount: 0, config });
+  }
+}
+
+
+describe('plugins', () => {
+  describe('.assert', () => {
+    it('should throw if plugin not an object', function() {
+      assert.throws(() => {
+        plugins.assert(null);
+      }, TypeError);
+
+      assert.throws(() => {
+        plugins.assert([]);
+      }, TypeError);
+    });
+
+    it('should throw if plugin has no hooks', function() {
+      assert.throws(() => {
+        plugins.assert({ name: 'tagging' });
+      }, TypeError);
+    });
+
+    it('should throw if a hook not a function', function() {
+      assert.throws(() => {
+        plugins.assert({ beforeQuery: () => {}, afterQuery: 'log' });
+      }, TypeError);
+    });
+
+    it('should not throw for valid plugins', function() {
+      assert.doesNotThrow(() => {
+        plugins.assert({ name: 'tagging', beforeQuery: () => {} });
+      });
+    });
+  });
+
+
+  describe('.run', () => {
+    it('should call hooks in order, waiting for each', function() {
+      const calls = [];
+      const list = [
+        { beforeConnect: () => Promise.resolve().then(() => calls.push(1)) },
+        { afterConnect: () => calls.push('skipped') },
+        { beforeConnect: context => calls.push(context.repository) },
+      ];
+
+      return plugins.run(list, 'beforeConnect', { repository: 'test' })
+        .then((result) => {
+          assert.isUndefined(result);
+          assert.deepEqual(calls, [1, 'test']);
+        });
+    });
+
+    it('should reject with the first error thrown', function() {
+      const calls = [];
+      const list = [
+        {
+          beforeConnect: () => {
+            throw new Error('Denied');
+          },
+        },
+        { beforeConnect: () => calls.push(2) },
+      ];
+
+      return plugins.run(list, 'beforeConnect', {})
+        .then(() => {
+          assert.fail('run() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.message, 'Denied');
+          assert.lengthOf(calls, 0);
+        });
+    });
+  });
+
+
+  describe('.fail', () => {
+    it('should reject with the error after calling every hook', function() {
+      const seen = [];
+      const error = new Error('Original');
+      const list = [
+        { onError: context => seen.push(context.error) },
+        { onError: context => seen.push(context.phase) },
+      ];
+
+      return plugins.fail(list, { error, phase: 'query' })
+        .then(() => {
+          assert.fail('fail() should have failed');
+        }, (err) => {
+          assert.strictEqual(err, error);
+          assert.deepEqual(seen, [error, 'query']);
+        });
+    });
+
+    it('should let hooks replace the error', function() {
+      const replaced = new Error('Replaced');
+      const seen = [];
+      const list = [
+        {
+          onError: () => {
+            throw replaced;
+          },
+        },
+        { onError: context => seen.push(context.error) },
+      ];
+
+      return plugins.fail(list, { error: new Error('Original') })
+        .catch((err) => {
+          assert.strictEqual(err, replaced);
+          assert.deepEqual(seen, [replaced]);
+        });
+    });
+  });
+
+
+  describe('.wrapQuery', () => {
+    beforeEach(function() {
+      this.client = new MockClient();
+      this.context = { repository: 'test', state: {} };
+      this.wrap = list => plugins.wrapQuery(
+        this.client.query,
+        this.client,
+        list,
+        this.context
+      );
+    });
+
+    it('should pass text and params as a config object', function() {
+      const query = this.wrap([{ afterQuery: () => {} }]);
+
+      return query('SELECT $1', [1])
+        .then(() => {
+          assert.deepEqual(this.client.queries, [
+            { text: 'SELECT $1', values: [1] },
+          ]);
+        });
+    });
+
+    it('should run the query a beforeQuery hook returns', function() {
+      const query = this.wrap([
+        {
+          beforeQuery: context =>
+            `/* ${context.repository} */ ${context.query.text}`,
+        },
+        {
+          beforeQuery: context =>
+            Object.assign({}, context.query, { name: 'tagged' }),
+        },
+      ]);
+
+      return query({ text: 'SELECT 1', rowMode: 'array' })
+        .then(() => {
+          assert.deepEqual(this.client.queries, [{
+            text: '/* test */ SELECT 1',
+            rowMode: 'array',
+            name: 'tagged',
+          }]);
+        });
+    });
+
+    it('should reject a bad beforeQuery result', function() {
+      const query = this.wrap([{ beforeQuery: () => 42 }]);
+
+      return query('SELECT 1')
+        .then(() => {
+          assert.fail('query() should have failed');
+        }, (err) => {
+          assert.instanceOf(err, TypeError);
+          assert.lengthOf(this.client.queries, 0);
+        });
+    });
+
+    it('should give afterQuery the result, in a context per query', function() {
+      const seen = [];
+      const query = this.wrap([{ afterQuery: context => seen.push(context) }]);
+
+      return query('SELECT 1')
+        .then(result => query('SELECT 2').return(result))
+        .then((result) => {
+          assert.strictEqual(seen[0].result, result);
+          assert.strictEqual(seen[1].query.text, 'SELECT 2');
+          assert.strictEqual(seen[0].state, seen[1].state);
+          assert.notProperty(this.context, 'query');
+        });
+    });
+
+    it('should call onError for failed queries', function() {
+      const seen = [];
+      const query = this.wrap([{ onError: context => seen.push(context) }]);
+
+      return query('FAIL')
+        .then(() => {
+          assert.fail('query() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.message, 'Query failed');
+          assert.strictEqual(seen[0].phase, 'query');
+          assert.strictEqual(seen[0].query.text, 'FAIL');
+        });
+    });
+
+    it('should call onError when an afterQuery hook fails', function() {
+      const seen = [];
+      const query = this.wrap([
+        {
+          afterQuery: () => {
+            throw new Error('Hook failed');
+          },
+        },
+        { onError: context => seen.push(context) },
+      ]);
+
+      return query('SELECT 1')
+        .then(() => {
+          assert.fail('query() should have failed');
+        }, (err) => {
+          assert.strictEqual(err.message, 'Hook failed');
+          assert.lengthOf(seen, 1);
+          assert.strictEqual(seen[0].phase, 'afterQuery');
+          assert.isOk(seen[0].result);
+        });
+    });
+
+    it('should send queries in order, without waiting for results', function() {
+      const client = new MockClient();
+      const pending = [];
+      const query = plugins.wrapQuery(function slowQuery(config) {
+        this.queries.push(config.text);
+        return new Promise(resolve => pending.push(resolve));
+      }, client, [{
+        beforeQuery: context => ((context.query.text === 'BEGIN')
+          ? new Promise(resolve => setTimeout(resolve, 10))
+          : undefined),
+      }], { state: {} });
+
+      const results = [query('BEGIN'), query('SELECT 1'), query('COMMIT')];
+
+      return new Promise(resolve => setTimeout(resolve, 20))
+        .then(() => {
+          assert.deepEqual(client.queries, ['BEGIN', 'SELECT 1', 'COMMIT']);
+          pending.forEach(resolve => resolve({ rows: [] }));
+          return Promise.all(results);
+        });
+    });
+
+    it('should call the callback when given one', function(done) {
+      const query = this.wrap([{ afterQuery: () => {} }]);
+
+      const result = query('SELECT 1', [], (err, res) => {
+        try {
+          assert.isNull(err);
+          assert.deepEqual(res.config, { text: 'SELECT 1', values: [] });
+          done();
+        } catch (e) {
+          done(e);
+        }
+      });
+
+      assert.isUndefined(result);
+    });
+
+    it('should throw errors of the callback, not reject', function(done) {
+      const query = this.wrap([{ afterQuery: () => {} }]);
+      const listeners = process.listeners('uncaughtException');
+      const rejections = [];
+      const onRejection = err => rejections.push(err);
+
+      process.removeAllListeners('uncaughtException');
+      process.on('unhandledRejection', onRejection);
+      process.once('uncaughtException', (err) => {
+        listeners.forEach((listener) => {
+          process.on('uncaughtException', listener);
+        });
+
+        setImmediate(() => {
+          process.removeListener('unhandledRejection', onRejection);
+
+          try {
+            assert.strictEqual(err.message, 'Callback failed');
+            assert.lengthOf(rejections, 0);
+            done();
+          } catch (e) {
+            done(e);
+          }
+        });
+      });
+
+      query('SELECT 1', () => {
+        throw new Error('Callback failed');
+      });
+    });
+
+    it('should pass submittables straight through', function() {
+      const submittable = { submit: () => {}, text: 'SELECT 1' };
+      const calls = [];
+      const query = this.wrap([{ beforeQuery: () => calls.push(1) }]);
+
+      query(submittable);
+
+      assert.deepEqual(this.client.queries, [submittable]);
+      assert.lengthOf(calls, 0);
+    });
+  });
+});
@@ -0,0 +1,230 @@
+'use strict';
+
+const assert = require('chai').assert;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const errors = require('../../lib/errors');
+const providers = require('../../lib/providers');
+
+
+function load(provider) {
+  return new Promise((resolve, reject) => {
+    provider.load((err, fragment) => {
+      if (err) reject(err);
+      else resolve(fragment);
+    });
+  });
+}
+
+
+function rejection(provider) {
+  return load(provider)
+    .then(() => {
+      assert.fail('load() should have failed');
+    }, err => err);
+}
+
+
+describe('providers', () => {
+  describe('.env', () => {
+    it('should throw if options not an object', function() {
+      assert.throws(() => {
+        providers.env(42);
+      }, TypeError);
+    });
+
+    it('should map database and repository variables', function() {
+      const provider = providers.env({
+        env: {
+          PG_DATABASES_PRIMARY_HOST: '127.0.0.1',
+          PG_DATABASES_PRIMARY_PORT: '6432',
+          PG_DATABASES_PRIMARY_IDLE_TIMEOUT_MILLIS: '1000',
+          PG_DATABASES_PRIMARY_SSL: 'true',
+          PG_DATABASES_PRIMARY_STATEMENT_TIMEOUT: '500',
+          PG_REPOSITORIES_USERS: 'primary',
+          HOME: '/root',
+        },
+      });
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment, {
+            databases: {
+              primary: {
+                host: '127.0.0.1',
+                port: 6432,
+                idleTimeoutMillis: 1000,
+                ssl: true,
+                statement_timeout: 500,
+              },
+            },
+            repositories: {
+              users: 'primary',
+            },
+          });
+        });
+    });
+
+    it('should allow underscores in database names', function() {
+      const provider = providers.env({
+        env: { PG_DATABASES_MY_DB_HOST: '127.0.0.1' },
+      });
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment.databases, {
+            my_db: { host: '127.0.0.1' },
+          });
+        });
+    });
+
+    it('should use DATABASE_URL as the primary connection string', () => {
+      const provider = providers.env({
+        env: {
+          DATABASE_URL: 'postgres://db.local/app',
+          PG_DATABASES_PRIMARY_MAX: '5',
+        },
+      });
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment.databases.primary, {
+            connectionString: 'postgres://db.local/app',
+            max: 5,
+          });
+        });
+    });
+
+    it('should honor custom prefix and url options', function() {
+      const provider = providers.env({
+        env: {
+          DATABASE_URL: 'postgres://db.local/app',
+          APP_PG_DATABASES_MAIN_HOST: '127.0.0.1',
+        },
+        prefix: 'APP_PG_',
+        url: false,
+      });
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment, {
+            databases: { main: { host: '127.0.0.1' } },
+          });
+        });
+    });
+
+    it('should pass unknown variables on without their values', function() {
+      const provider = providers.env({
+        env: {
+          PG_DATABASES_PRIMARY_HOST: '127.0.0.1',
+          PG_DATABASES_PRIMARY_PASWORD: 'hunter2',
+        },
+      });
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment, {
+            databases: { primary: { host: '127.0.0.1' } },
+            PG_DATABASES_PRIMARY_PASWORD: null,
+          });
+        });
+    });
+  });
+
+
+  describe('.file', () => {
+    beforeEach(function() {
+      this.dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pgconnector-'));
+      this.write = (name, text) => {
+        const filePath = path.join(this.dir, name);
+        fs.writeFileSync(filePath, text);
+        return filePath;
+      };
+    });
+
+    afterEach(function() {
+      fs.readdirSync(this.dir).forEach((name) => {
+        fs.unlinkSync(path.join(this.dir, name));
+      });
+      fs.rmdirSync(this.dir);
+    });
+
+    it('should throw if path not a non-empty string', function() {
+      assert.throws(() => {
+        providers.file('');
+      }, TypeError);
+    });
+
+    it('should expose the resolved path as file', function() {
+      const provider = providers.file('conf.json');
+      assert.strictEqual(provider.file, path.resolve('conf.json'));
+    });
+
+    it('should read JSON files', function() {
+      const conf = {
+        databases: { primary: { host: '127.0.0.1' } },
+        repositories: { test: 'primary' },
+      };
+      const provider = providers.file(
+        this.write('conf.json', JSON.stringify(conf))
+      );
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment, conf);
+        });
+    });
+
+    it('should use a custom parser when given', function() {
+      const provider = providers.file(this.write('conf.txt', 'primary'), {
+        parse: text => ({ repositories: { test: text } }),
+      });
+
+      return load(provider)
+        .then((fragment) => {
+          assert.deepEqual(fragment, { repositories: { test: 'primary' } });
+        });
+    });
+
+    it('should fail with the file when it cannot be read', function() {
+      const filePath = path.join(this.dir, 'missing.json');
+
+      return rejection(providers.file(filePath))
+        .then((err) => {
+          assert.instanceOf(err, errors.ConfigurationError);
+          assert.strictEqual(err.data.file, filePath);
+        });
+    });
+
+    it('should fail with the file when it cannot be parsed', function() {
+      const filePath = this.write('bad.json', '{ "databases": ');
+
+      return rejection(providers.file(filePath))
+        .then((err) => {
+          assert.instanceOf(err, errors.ConfigurationError);
+          assert.strictEqual(err.data.file, filePath);
+          assert.isString(err.data.error);
+        });
+    });
+
+    it('should fail when the file does not contain an object', function() {
+      return rejection(providers.file(this.write('list.json', '[]')))
+        .then((err) => {
+          assert.instanceOf(err, errors.ConfigurationError);
+        });
+    });
+
+    it('should fail with the key that is not an object', function() {
+      const filePath = this.write('conf.json', '{ "repositories": "test" }');
+
+      return rejection(providers.file(filePath))
+        .then((err) => {
+          assert.instanceOf(err, errors.ConfigurationError);
+          assert.strictEqual(err.data.file, filePath);
+          assert.strictEqual(err.data.key, 'repositories');
+        });
+    });
+  });
+});
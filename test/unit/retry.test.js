@@ -0,0 +1,161 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Bluebird = require('bluebird');
+
+const retry = require('../../lib/retry');
+
+
+function codeError(code) {
+  const err = new Error('Failed');
+  err.code = code;
+  return err;
+}
+
+
+describe('retry', () => {
+  describe('.isRetryable', () => {
+    it('should return true for cannot connect now', function() {
+      assert.isTrue(retry.isRetryable(codeError('57P03')));
+    });
+
+    it('should return true for refused connections', function() {
+      assert.isTrue(retry.isRetryable(codeError('ECONNREFUSED')));
+    });
+
+    it('should return true for pool connection timeouts', function() {
+      const err = new Error('timeout exceeded when trying to connect');
+      assert.isTrue(retry.isRetryable(err));
+    });
+
+    it('should return false for query errors', function() {
+      assert.isFalse(retry.isRetryable(codeError('42P01')));
+    });
+  });
+
+
+  describe('.validate', () => {
+    it('should return null for a valid policy', function() {
+      assert.isNull(retry.validate({ attempts: 2, jitter: 0 }));
+    });
+
+    it('should reject non-object policies', function() {
+      assert.isString(retry.validate(42));
+    });
+
+    it('should reject attempts less than 1', function() {
+      assert.isString(retry.validate({ attempts: 0 }));
+    });
+
+    it('should reject jitter greater than 1', function() {
+      assert.isString(retry.validate({ jitter: 2 }));
+    });
+
+    it('should reject retryable that is not a function', function() {
+      assert.isString(retry.validate({ retryable: true }));
+    });
+  });
+
+
+  describe('.normalize', () => {
+    it('should fill in defaults', function() {
+      const result = retry.normalize({ attempts: 5 });
+
+      assert.strictEqual(result.attempts, 5);
+      assert.strictEqual(result.baseDelay, retry.defaults.baseDelay);
+      assert.strictEqual(result.retryable, retry.isRetryable);
+    });
+  });
+
+
+  describe('.delay', () => {
+    it('should double with each attempt', function() {
+      const policy = retry.normalize({ baseDelay: 10, jitter: 0 });
+
+      assert.strictEqual(retry.delay(policy, 1), 10);
+      assert.strictEqual(retry.delay(policy, 2), 20);
+      assert.strictEqual(retry.delay(policy, 3), 40);
+    });
+
+    it('should not exceed maxDelay', function() {
+      const policy = retry.normalize({
+        baseDelay: 10,
+        maxDelay: 15,
+        jitter: 0,
+      });
+      assert.strictEqual(retry.delay(policy, 5), 15);
+    });
+
+    it('should reduce delay by up to jitter', function() {
+      const policy = retry.normalize({ baseDelay: 100, jitter: 0.5 });
+      const result = retry.delay(policy, 1);
+
+      assert.isAtLeast(result, 50);
+      assert.isAtMost(result, 100);
+    });
+  });
+
+
+  describe('.run', () => {
+    const policy = retry.normalize({ attempts: 3, baseDelay: 1, jitter: 0 });
+
+    it('should return a bluebird Promise', function() {
+      const result = retry.run(() => 42, null);
+      assert.instanceOf(result, Bluebird);
+    });
+
+    it('should try again until fn succeeds', function() {
+      let calls = 0;
+      const retries = [];
+
+      const fn = () => {
+        calls++;
+        if (calls < 3) throw codeError('ECONNRESET');
+        return 'connected';
+      };
+
+      return retry.run(fn, policy, (err, attempt) => retries.push(attempt))
+        .then((result) => {
+          assert.strictEqual(result, 'connected');
+          assert.deepEqual(retries, [1, 2]);
+        });
+    });
+
+    it('should give up after attempts', function() {
+      let calls = 0;
+
+      return retry.run(() => {
+        calls++;
+        throw codeError('ECONNRESET');
+      }, policy)
+        .catch((err) => {
+          assert.strictEqual(err.code, 'ECONNRESET');
+          assert.strictEqual(calls, 3);
+        });
+    });
+
+    it('should not try again if error not retryable', function() {
+      let calls = 0;
+
+      return retry.run(() => {
+        calls++;
+        throw codeError('28P01');
+      }, policy)
+        .catch(() => {
+          assert.strictEqual(calls, 1);
+        });
+    });
+
+    it('should only call fn once without a policy', function() {
+      let calls = 0;
+
+      return retry.run(() => {
+        calls++;
+        throw codeError('ECONNRESET');
+      }, null)
+        .catch(() => {
+          assert.strictEqual(calls, 1);
+        });
+    });
+  });
+});
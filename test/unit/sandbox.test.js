@@ -0,0 +1,222 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const Sandbox = require('../../lib/sandbox').Sandbox;
+
+
+class MockClient {
+  constructor(failing) {
+    this.queries = [];
+    this.failing = failing;
+  }
+
+  query(text) {
+    this.queries.push(text);
+
+    if (text === this.failing) {
+      return Promise.reject(new Error(`${text} failed`));
+    }
+
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  }
+}
+
+
+class MockPool {
+  constructor(failing) {
+    this.failing = failing;
+    this.connects = 0;
+    this.released = [];
+  }
+
+  connect(callback) {
+    this.connects++;
+
+    if (this.failing === 'connect') {
+      setImmediate(callback, new Error('Cannot connect'));
+      return;
+    }
+
+    const client = new MockClient(this.failing);
+    setImmediate(callback, null, client, (err) => {
+      this.released.push(err);
+    });
+  }
+}
+
+
+describe('sandbox', () => {
+  describe('Sandbox', () => {
+    beforeEach(function() {
+      this.ended = 0;
+      this.pool = new MockPool();
+      this.sandbox = new Sandbox(() => {
+        this.ended++;
+      });
+    });
+
+
+    describe('#acquire', () => {
+      it('should pin one client per pool', function() {
+        const acquired = [];
+
+        return this.sandbox.acquire(this.pool)
+          .then((first) => {
+            acquired.push(first);
+            first.done();
+            return this.sandbox.acquire(this.pool);
+          })
+          .then((second) => {
+            acquired.push(second);
+            assert.strictEqual(this.pool.connects, 1);
+            assert.notStrictEqual(acquired[0].client, acquired[1].client);
+            assert.strictEqual(acquired[0].client.queries,
+              acquired[1].client.queries);
+            assert.deepEqual(acquired[0].client.queries, ['BEGIN']);
+          });
+      });
+
+      it('should hand out stand-ins while others are held', function() {
+        return this.sandbox.acquire(this.pool)
+          .then(first => this.sandbox.acquire(this.pool)
+            .then((second) => {
+              assert.notStrictEqual(first.client, second.client);
+              assert.strictEqual(first.client.queries, second.client.queries);
+              second.done();
+              first.done();
+            }));
+      });
+
+      it('should try a pool again after failing to pin it', function() {
+        const pool = new MockPool('connect');
+
+        return this.sandbox.acquire(pool)
+          .then(() => {
+            assert.fail('acquire() should have failed');
+          }, (err) => {
+            assert.strictEqual(err.message, 'Cannot connect');
+            pool.failing = null;
+            return this.sandbox.acquire(pool);
+          })
+          .then(() => {
+            assert.strictEqual(pool.connects, 2);
+          });
+      });
+
+      it('should release the client if BEGIN fails', function() {
+        const pool = new MockPool('BEGIN');
+
+        return this.sandbox.acquire(pool)
+          .then(() => {
+            assert.fail('acquire() should have failed');
+          }, (err) => {
+            assert.strictEqual(err.message, 'BEGIN failed');
+            assert.lengthOf(pool.released, 1);
+            assert.instanceOf(pool.released[0], Error);
+          });
+      });
+    });
+
+
+    describe('#end', () => {
+      it('should roll back and release every pinned client', function() {
+        let queries;
+
+        return this.sandbox.acquire(this.pool)
+          .then((acquired) => {
+            queries = acquired.client.queries;
+            return this.sandbox.end();
+          })
+          .then(() => {
+            assert.deepEqual(queries, ['BEGIN', 'ROLLBACK']);
+            assert.deepEqual(this.pool.released, [undefined]);
+            assert.strictEqual(this.ended, 1);
+          });
+      });
+
+      it('should return the same Promise when called again', function() {
+        return Promise.all([this.sandbox.end(), this.sandbox.end()])
+          .then(() => {
+            assert.strictEqual(this.ended, 1);
+          });
+      });
+
+      it('should reject and destroy the client if ROLLBACK fails', function() {
+        const pool = new MockPool('ROLLBACK');
+
+        return this.sandbox.acquire(pool)
+          .then(() => this.sandbox.end())
+          .then(() => {
+            assert.fail('end() should have failed');
+          }, (err) => {
+            assert.strictEqual(err.message, 'ROLLBACK failed');
+            assert.instanceOf(pool.released[0], Error);
+            assert.strictEqual(this.ended, 1);
+          });
+      });
+
+      it('should call the callback when given one', function(done) {
+        this.sandbox.end((err) => {
+          try {
+            assert.isNull(err);
+            done();
+          } catch (e) {
+            done(e);
+          }
+        });
+      });
+
+      it('should refuse to pin clients once ended', function() {
+        return this.sandbox.end()
+          .then(() => this.sandbox.acquire(this.pool))
+          .then(() => {
+            assert.fail('acquire() should have failed');
+          }, (err) => {
+            assert.match(err.message, /Sandbox has ended/);
+            assert.strictEqual(this.pool.connects, 0);
+          });
+      });
+    });
+
+
+    describe('#pool', () => {
+      it('should return the same stand-in for a pool', function() {
+        assert.strictEqual(this.sandbox.pool(this.pool),
+          this.sandbox.pool(this.pool));
+      });
+
+      it('should run queries on the pinned client', function() {
+        const pool = this.sandbox.pool(this.pool);
+
+        return Promise.all([pool.query('SELECT 1'), pool.query('SELECT 2')])
+          .then(() => this.sandbox.acquire(this.pool))
+          .then((acquired) => {
+            assert.deepEqual(acquired.client.queries,
+              ['BEGIN', 'SELECT 1', 'SELECT 2']);
+          });
+      });
+
+      it('should hand out clients through callbacks', function(done) {
+        this.sandbox.pool(this.pool).connect((err, client, release) => {
+          try {
+            assert.isNull(err);
+            assert.deepEqual(client.queries, ['BEGIN']);
+            release();
+            done();
+          } catch (e) {
+            done(e);
+          }
+        });
+      });
+
+      it('should not end the pool', function() {
+        return this.sandbox.pool(this.pool).end()
+          .then(() => this.sandbox.acquire(this.pool))
+          .then(() => {
+            assert.strictEqual(this.pool.connects, 1);
+          });
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const session = require('../../lib/session');
+
+
+describe('session', () => {
+  describe('.validate', () => {
+    it('should return null without schema or settings', function() {
+      assert.isNull(session.validate({ database: 'primary' }));
+    });
+
+    it('should return null for valid schema and settings', function() {
+      const result = session.validate({
+        schema: ['reporting', 'public'],
+        settings: {
+          statement_timeout: 5000,
+          'auto_explain.log_analyze': true,
+          role: 'reader',
+        },
+      });
+
+      assert.isNull(result);
+    });
+
+    it('should reject an empty schema', function() {
+      assert.isString(session.validate({ schema: '' }));
+    });
+
+    it('should reject an empty schema array', function() {
+      assert.isString(session.validate({ schema: [] }));
+    });
+
+    it('should reject non-object settings', function() {
+      assert.isString(session.validate({ settings: 'SET ROLE admin' }));
+    });
+
+    it('should reject setting names that are not identifiers', function() {
+      const result = session.validate({
+        settings: { 'role; DROP TABLE users': 'x' },
+      });
+
+      assert.isString(result);
+    });
+
+    it('should reject object setting values', function() {
+      assert.isString(session.validate({ settings: { role: {} } }));
+    });
+  });
+
+
+  describe('.quoteIdentifier', () => {
+    it('should wrap names in double quotes', function() {
+      assert.strictEqual(session.quoteIdentifier('public'), '"public"');
+    });
+
+    it('should escape embedded double quotes', function() {
+      assert.strictEqual(session.quoteIdentifier('a"b'), '"a""b"');
+    });
+  });
+
+
+  describe('.setStatement', () => {
+    it('should return null when there is nothing to apply', function() {
+      assert.isNull(session.setStatement({ database: 'primary' }));
+    });
+
+    it('should pass schema and settings as parameters', function() {
+      const result = session.setStatement({
+        schema: ['reporting', 'public'],
+        settings: { statement_timeout: 5000 },
+      });
+
+      assert.strictEqual(
+        result.text,
+        'SELECT set_config($1, $2, false), set_config($3, $4, false)'
+      );
+      assert.deepEqual(result.values, [
+        'search_path',
+        '"reporting", "public"',
+        'statement_timeout',
+        '5000',
+      ]);
+    });
+
+    it('should let an explicit search_path win over schema', function() {
+      const result = session.setStatement({
+        schema: 'reporting',
+        settings: { search_path: 'archive' },
+      });
+
+      assert.deepEqual(result.values.slice(2), ['search_path', 'archive']);
+    });
+  });
+});
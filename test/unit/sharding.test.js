@@ -0,0 +1,141 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const sharding = require('../../lib/sharding');
+
+
+describe('sharding', () => {
+  describe('.validate', () => {
+    it('should return null for valid settings', function() {
+      assert.isNull(sharding.validate({ shards: ['a', 'b'] }));
+      assert.isNull(sharding.validate({
+        shards: ['a', 'b', 'c'],
+        strategy: 'range',
+        ranges: [1000, 2000],
+      }));
+      assert.isNull(sharding.validate({
+        shards: ['a', 'b'],
+        strategy: () => 0,
+      }));
+    });
+
+    it('should reject shards that are not unique non-empty strings', () => {
+      assert.isString(sharding.validate({ shards: [] }));
+      assert.isString(sharding.validate({ shards: 'a' }));
+      assert.isString(sharding.validate({ shards: ['a', ''] }));
+      assert.isString(sharding.validate({ shards: ['a', 'a'] }));
+    });
+
+    it('should reject unknown strategies', function() {
+      assert.isString(sharding.validate({ shards: ['a'], strategy: 'mod' }));
+    });
+
+    it('should check ranges', function() {
+      const check = ranges => sharding.validate({
+        shards: ['a', 'b', 'c'],
+        strategy: 'range',
+        ranges,
+      });
+
+      assert.isString(check(undefined));
+      assert.isString(check([1000]));
+      assert.isString(check([2000, 1000]));
+      assert.isString(check([1000, 'm']));
+      assert.isNull(check(['g', 'p']));
+    });
+
+    it('should reject ranges for other strategies', function() {
+      assert.isString(sharding.validate({ shards: ['a', 'b'], ranges: [1] }));
+    });
+  });
+
+
+  describe('.hash', () => {
+    it('should compute 32-bit FNV-1a of the string form', function() {
+      assert.strictEqual(sharding.hash(''), 0x811c9dc5);
+      assert.strictEqual(sharding.hash('a'), 0xe40c292c);
+      assert.strictEqual(sharding.hash('foobar'), 0xbf9cf968);
+      assert.strictEqual(sharding.hash(42), sharding.hash('42'));
+    });
+  });
+
+
+  describe('.pick', () => {
+    it('should throw if key not a string or finite number', function() {
+      const settings = sharding.create({ shards: ['a', 'b'] });
+
+      assert.throws(() => {
+        sharding.pick(settings, null);
+      }, TypeError);
+
+      assert.throws(() => {
+        sharding.pick(settings, NaN);
+      }, TypeError);
+    });
+
+    it('should use the hash modulo the number of shards', function() {
+      const settings = sharding.create({ shards: ['a', 'b', 'c'] });
+      assert.strictEqual(sharding.pick(settings, 'foobar'), 0xbf9cf968 % 3);
+    });
+
+    it('should use the first range the key is below', function() {
+      const settings = sharding.create({
+        shards: ['a', 'b', 'c'],
+        strategy: 'range',
+        ranges: [1000, 2000],
+      });
+
+      assert.strictEqual(sharding.pick(settings, 0), 0);
+      assert.strictEqual(sharding.pick(settings, 1000), 1);
+      assert.strictEqual(sharding.pick(settings, 1999), 1);
+      assert.strictEqual(sharding.pick(settings, 5000), 2);
+    });
+
+    it('should give every key to a single range shard', function() {
+      const repoConf = { shards: ['a'], strategy: 'range', ranges: [] };
+      const settings = sharding.create(repoConf);
+
+      assert.isNull(sharding.validate(repoConf));
+      assert.strictEqual(sharding.pick(settings, 42), 0);
+      assert.strictEqual(sharding.pick(settings, 'acme'), 0);
+    });
+
+    it('should throw if key type does not match the ranges', function() {
+      const settings = sharding.create({
+        shards: ['a', 'b'],
+        strategy: 'range',
+        ranges: [1000],
+      });
+
+      assert.throws(() => {
+        sharding.pick(settings, '500');
+      }, TypeError);
+    });
+
+    it('should call custom strategies with the key and shard count', () => {
+      const calls = [];
+      const settings = sharding.create({
+        shards: ['a', 'b'],
+        strategy: (key, count) => {
+          calls.push([key, count]);
+          return 1;
+        },
+      });
+
+      assert.strictEqual(sharding.pick(settings, 'x'), 1);
+      assert.deepEqual(calls, [['x', 2]]);
+    });
+
+    it('should throw if a custom strategy returns a bad index', function() {
+      const settings = sharding.create({
+        shards: ['a', 'b'],
+        strategy: () => 2,
+      });
+
+      assert.throws(() => {
+        sharding.pick(settings, 'x');
+      }, Error);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const stats = require('../../lib/stats');
+
+
+describe('stats', () => {
+  describe('.observe', () => {
+    it('should count value in first bucket that fits', function() {
+      const histogram = stats.createHistogram();
+      stats.observe(histogram, 7);
+
+      assert.strictEqual(histogram.counts[0], 0);
+      assert.strictEqual(histogram.counts[1], 1);
+      assert.strictEqual(histogram.sum, 7);
+      assert.strictEqual(histogram.count, 1);
+    });
+
+    it('should only count values over the last bucket in count', function() {
+      const histogram = stats.createHistogram();
+      stats.observe(histogram, 60000);
+
+      assert.strictEqual(histogram.counts.reduce((a, b) => a + b), 0);
+      assert.strictEqual(histogram.count, 1);
+    });
+  });
+
+
+  describe('.snapshot', () => {
+    it('should return cumulative histogram buckets', function() {
+      const counters = stats.createCounters();
+      stats.observe(counters.acquireTime, 1);
+      stats.observe(counters.acquireTime, 20);
+      stats.observe(counters.acquireTime, 60000);
+
+      const result = stats.snapshot(counters);
+
+      assert.strictEqual(result.acquireTime.buckets['5'], 1);
+      assert.strictEqual(result.acquireTime.buckets['25'], 2);
+      assert.strictEqual(result.acquireTime.buckets['10000'], 2);
+      assert.strictEqual(result.acquireTime.buckets['+Inf'], 3);
+    });
+  });
+
+
+  describe('.poolCounts', () => {
+    it('should default missing counts to zero', function() {
+      assert.deepEqual(stats.poolCounts({}), { total: 0, idle: 0, waiting: 0 });
+    });
+  });
+
+
+  describe('.render', () => {
+    const counters = stats.createCounters();
+    counters.acquisitions = 3;
+    stats.observe(counters.queryTime, 20);
+
+    const output = stats.render({
+      databases: {
+        primary: { pool: { total: 2, idle: 1, waiting: 0 } },
+        guarded: {
+          pool: { total: 0 },
+          circuit: { state: 'open', failures: 5, retryAt: 0 },
+        },
+      },
+      repositories: {
+        users: Object.assign({ database: 'primary' }, stats.snapshot(counters)),
+      },
+    });
+
+    it('should render pool gauges per database', function() {
+      assert.include(
+        output,
+        'pgconnector_pool_clients{database="primary",state="total"} 2'
+      );
+    });
+
+    it('should render counters per repository', function() {
+      assert.include(
+        output,
+        'pgconnector_acquisitions_total{repository="users",' +
+        'database="primary"} 3'
+      );
+    });
+
+    it('should render histograms in seconds', function() {
+      assert.include(
+        output,
+        'pgconnector_query_duration_seconds_bucket{repository="users",' +
+        'database="primary",le="0.025"} 1'
+      );
+      assert.include(
+        output,
+        'pgconnector_query_duration_seconds_sum{repository="users",' +
+        'database="primary"} 0.02'
+      );
+    });
+
+    it('should render circuit states per guarded database', function() {
+      assert.include(
+        output,
+        'pgconnector_circuit_state{database="guarded",state="open"} 1'
+      );
+      assert.include(
+        output,
+        'pgconnector_circuit_state{database="guarded",state="closed"} 0'
+      );
+      assert.notInclude(output, 'circuit_state{database="primary"');
+    });
+
+    it('should include type declarations', function() {
+      assert.include(output, '# TYPE pgconnector_queries_total counter');
+    });
+
+    it('should label sharded repositories with their databases', () => {
+      const result = stats.render({
+        databases: {},
+        repositories: {
+          events: Object.assign(
+            { database: null, shards: ['shard0', 'shard1'] },
+            stats.snapshot(counters)
+          ),
+        },
+      });
+
+      assert.include(
+        result,
+        'pgconnector_acquisitions_total{repository="events",' +
+        'database="shard0,shard1"} 3'
+      );
+    });
+
+    it('should escape label values', function() {
+      const result = stats.render({
+        databases: {
+          'a"b': { pool: { total: 0 } },
+        },
+        repositories: {},
+      });
+
+      assert.include(result, 'database="a\\"b"');
+    });
+  });
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const assert = require('chai').assert;
+
+const tenants = require('../../lib/tenants');
+
+const TenantPools = tenants.TenantPools;
+
+
+describe('tenants', () => {
+  describe('TenantPools', () => {
+    beforeEach(function() {
+      this.evicted = [];
+      this.pools = new TenantPools(
+        { acme: { database: 'acme' }, globex: 'postgres://db.local/globex' },
+        2,
+        (tenant, pool) => this.evicted.push([tenant, pool])
+      );
+    });
+
+    it('should default max to 10', function() {
+      const pools = new TenantPools({}, undefined, () => {});
+      assert.strictEqual(pools.max, tenants.defaultMaxPools);
+      assert.strictEqual(tenants.defaultMaxPools, 10);
+    });
+
+    it('should look entries up in the tenant map', function() {
+      assert.deepEqual(this.pools.entry('acme'), { database: 'acme' });
+      assert.isNull(this.pools.entry('initech'));
+      assert.isNull(this.pools.entry('toString'));
+    });
+
+    it('should ask the resolver for entries', function() {
+      const pools = new TenantPools(
+        tenant => ((tenant === 'acme') ? { database: 'acme' } : undefined),
+        2,
+        () => {}
+      );
+
+      assert.deepEqual(pools.entry('acme'), { database: 'acme' });
+      assert.isNull(pools.entry('initech'));
+    });
+
+    it('should throw if the resolver returns a Promise', function() {
+      const pools = new TenantPools(
+        () => Promise.resolve({ database: 'acme' }),
+        2,
+        () => {}
+      );
+
+      assert.throws(() => {
+        pools.entry('acme');
+      }, TypeError);
+    });
+
+    it('should return null for tenants without a pool', function() {
+      assert.isNull(this.pools.get('acme'));
+    });
+
+    it('should return added pools', function() {
+      const pool = {};
+      this.pools.add('acme', pool);
+
+      assert.strictEqual(this.pools.get('acme'), pool);
+      assert.strictEqual(this.pools.size, 1);
+    });
+
+    it('should evict the least recently used pool', function() {
+      const acme = {};
+      const globex = {};
+      const initech = {};
+
+      this.pools.add('acme', acme);
+      this.pools.add('globex', globex);
+      this.pools.get('acme');
+      this.pools.add('initech', initech);
+
+      assert.deepEqual(this.evicted, [['globex', globex]]);
+      assert.deepEqual(this.pools.open(), ['acme', 'initech']);
+    });
+
+    it('should remove every pool on clear without evicting', function() {
+      const acme = {};
+      this.pools.add('acme', acme);
+
+      assert.deepEqual(this.pools.clear(), [acme]);
+      assert.strictEqual(this.pools.size, 0);
+      assert.lengthOf(this.evicted, 0);
+    });
+  });
+});
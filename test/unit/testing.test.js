@@ -0,0 +1,234 @@
+'use strict';
+
+const assert = require('chai').assert;
+const AssertionError = require('assert').AssertionError;
+
+const Connector = require('../../lib');
+const testing = require('../../testing');
+
+const FakePg = testing.FakePg;
+
+
+describe('testing', () => {
+  beforeEach(function() {
+    this.fake = new FakePg();
+    this.connector = new Connector(this.fake);
+    this.connector.add({
+      databases: {
+        primary: { host: '127.0.0.1' },
+        reporting: { host: '127.0.0.2' },
+      },
+      repositories: {
+        users: 'primary',
+        reports: 'reporting',
+      },
+    });
+    this.fake.attach(this.connector);
+  });
+
+
+  describe('FakePg', () => {
+    it('should create a fake pool per database', function() {
+      assert.lengthOf(this.fake.pools, 2);
+      assert.strictEqual(this.fake.pools[0].options.host, '127.0.0.1');
+      assert.instanceOf(this.fake.pools[0], testing.FakePool);
+    });
+
+    it('should record queries with their repository and database', function() {
+      return this.connector.query('users', 'SELECT * FROM users', [1])
+        .then(() => {
+          assert.deepEqual(this.fake.queries, [{
+            repository: 'users',
+            database: 'primary',
+            text: 'SELECT * FROM users',
+            values: [1],
+          }]);
+        });
+    });
+
+    it('should answer with no rows by default', function() {
+      return this.connector.query('users', 'SELECT 1')
+        .then((result) => {
+          assert.deepEqual(result.rows, []);
+          assert.strictEqual(result.rowCount, 0);
+        });
+    });
+
+    it('should throw if attach() not given a Connector', function() {
+      assert.throws(() => {
+        this.fake.attach({});
+      }, TypeError);
+    });
+  });
+
+
+  describe('#onQuery', () => {
+    it('should throw if pattern invalid', function() {
+      assert.throws(() => {
+        this.fake.onQuery('');
+      }, TypeError);
+    });
+
+    it('should answer matching queries with canned rows', function() {
+      this.fake.onQuery(/FROM users/).resolves([{ id: 1 }, { id: 2 }]);
+
+      return this.connector.query('users', 'SELECT id FROM users')
+        .then((result) => {
+          assert.deepEqual(result.rows, [{ id: 1 }, { id: 2 }]);
+          assert.strictEqual(result.rowCount, 2);
+        });
+    });
+
+    it('should match strings ignoring whitespace', function() {
+      this.fake.onQuery('UPDATE users SET name = $1')
+        .resolves({ rowCount: 1 });
+
+      return this.connector.query('users', '  UPDATE users\n  SET name = $1')
+        .then((result) => {
+          assert.strictEqual(result.rowCount, 1);
+          assert.deepEqual(result.rows, []);
+        });
+    });
+
+    it('should reject matching queries with errors', function() {
+      const err = Object.assign(new Error('duplicate key'), { code: '23505' });
+      this.fake.onQuery(/INSERT/).rejects(err);
+
+      return this.connector.query('users', 'INSERT INTO users DEFAULT VALUES')
+        .then(() => {
+          assert.fail('query() should have failed');
+        }, (result) => {
+          assert.strictEqual(result, err);
+        });
+    });
+
+    it('should let the latest matching response win', function() {
+      this.fake.onQuery(/users/).resolves([{ id: 1 }]);
+      this.fake.onQuery(/users/).resolves([{ id: 2 }]);
+
+      return this.connector.queryOne('users', 'SELECT * FROM users')
+        .then((row) => {
+          assert.deepEqual(row, { id: 2 });
+        });
+    });
+
+    it('should only answer queries of the repository given', function() {
+      this.fake.onQuery(/SELECT/, { repository: 'reports' })
+        .resolves([{ total: 3 }]);
+
+      return this.connector.query('users', 'SELECT 1')
+        .then((result) => {
+          assert.lengthOf(result.rows, 0);
+          return this.connector.query('reports', 'SELECT 1');
+        })
+        .then((result) => {
+          assert.deepEqual(result.rows, [{ total: 3 }]);
+        });
+    });
+
+    it('should call response functions with the query', function() {
+      this.fake.onQuery(/FROM users/)
+        .responds(query => [{ id: query.values[0] }]);
+
+      return this.connector.query('users', 'SELECT * FROM users', [42])
+        .then((result) => {
+          assert.deepEqual(result.rows, [{ id: 42 }]);
+        });
+    });
+  });
+
+
+  describe('#expectQuery', () => {
+    beforeEach(function() {
+      return this.connector.query('users', 'SELECT * FROM users WHERE id = $1',
+        [7]);
+    });
+
+    it('should pass when a matching query ran', function() {
+      assert.doesNotThrow(() => {
+        this.fake.expectQuery(/FROM users/)
+          .toHaveBeenCalled()
+          .toHaveBeenCalledTimes(1)
+          .toHaveBeenCalledWith([7]);
+      });
+    });
+
+    it('should throw when no matching query ran', function() {
+      assert.throws(() => {
+        this.fake.expectQuery(/FROM orders/).toHaveBeenCalled();
+      }, AssertionError);
+    });
+
+    it('should throw when the count differs', function() {
+      assert.throws(() => {
+        this.fake.expectQuery(/FROM users/).toHaveBeenCalledTimes(2);
+      }, AssertionError);
+    });
+
+    it('should throw when no query ran with the values', function() {
+      assert.throws(() => {
+        this.fake.expectQuery(/FROM users/).toHaveBeenCalledWith(['7']);
+      }, AssertionError, /\["7"\]/);
+    });
+
+    it('should only count queries of the repository given', function() {
+      assert.throws(() => {
+        this.fake.expectQuery(/FROM users/, { repository: 'reports' })
+          .toHaveBeenCalled();
+      }, AssertionError);
+    });
+
+    it('should list the matching calls', function() {
+      const calls = this.fake.expectQuery(/FROM users/).calls;
+      assert.lengthOf(calls, 1);
+      assert.strictEqual(calls[0].repository, 'users');
+    });
+  });
+
+
+  describe('#verifyReleased', () => {
+    it('should pass once every client is released', function() {
+      return this.connector.transaction('users', c => c.query('SELECT 1'))
+        .then(() => {
+          assert.doesNotThrow(() => this.fake.verifyReleased());
+        });
+    });
+
+    it('should throw naming the repositories of held clients', function() {
+      return this.connector.connect('reports')
+        .then((client) => {
+          assert.throws(() => {
+            this.fake.verifyReleased();
+          }, AssertionError, /reports \(reporting\)/);
+
+          client.release();
+          assert.doesNotThrow(() => this.fake.verifyReleased());
+        });
+    });
+
+    it('should throw if a client is released twice', function() {
+      return this.fake.pools[0].connect()
+        .then((client) => {
+          client.release();
+          assert.throws(() => client.release(), Error);
+        });
+    });
+  });
+
+
+  describe('#reset', () => {
+    it('should forget queries and responses', function() {
+      this.fake.onQuery(/SELECT/).resolves([{ id: 1 }]);
+
+      return this.connector.query('users', 'SELECT 1')
+        .then(() => {
+          this.fake.reset();
+          assert.lengthOf(this.fake.queries, 0);
+          return this.connector.query('users', 'SELECT 1');
+        })
+        .then((result) => {
+          assert.lengthOf(result.rows, 0);
+        });
+    });
+  });
+});
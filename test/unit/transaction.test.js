@@ -0,0 +1,239 @@
+'use strict';
+
+const assert = require('chai').assert;
+const Bluebird = require('bluebird');
+
+const transaction = require('../../lib/transaction');
+
+
+class MockClient {
+  constructor(failOn) {
+    this.failOn = failOn;
+    this.queries = [];
+  }
+
+  query(text) {
+    this.queries.push(text);
+
+    if (text === this.failOn) {
+      return Promise.reject(new Error(`Failed: ${text}`));
+    }
+
+    return Promise.resolve({ rows: [], rowCount: 0 });
+  }
+}
+
+
+describe('transaction', () => {
+  describe('.assertOptions', () => {
+    it('should throw if isolationLevel unknown', function() {
+      assert.throws(() => {
+        transaction.assertOptions({ isolationLevel: 'sometimes' });
+      }, TypeError);
+    });
+
+    it('should throw if readOnly not a boolean', function() {
+      assert.throws(() => {
+        transaction.assertOptions({ readOnly: 'yes' });
+      }, TypeError);
+    });
+
+    it('should throw if deferrable not a boolean', function() {
+      assert.throws(() => {
+        transaction.assertOptions({ deferrable: 1 });
+      }, TypeError);
+    });
+
+    it('should not throw for valid options', function() {
+      assert.doesNotThrow(() => {
+        transaction.assertOptions({
+          isolationLevel: 'repeatable read',
+          readOnly: true,
+          deferrable: false,
+        });
+      });
+    });
+  });
+
+
+  describe('.beginStatement', () => {
+    it('should return BEGIN when no options set', function() {
+      assert.strictEqual(transaction.beginStatement({}), 'BEGIN');
+    });
+
+    it('should include normalized options', function() {
+      const result = transaction.beginStatement({
+        isolationLevel: 'serializable',
+        readOnly: true,
+        deferrable: true,
+      });
+
+      assert.strictEqual(
+        result,
+        'BEGIN ISOLATION LEVEL SERIALIZABLE READ ONLY DEFERRABLE'
+      );
+    });
+  });
+
+
+  describe('.run', () => {
+    it('should throw if fn not a function', function() {
+      assert.throws(() => {
+        transaction.run(new MockClient(), 42, {});
+      }, TypeError);
+    });
+
+    it('should return a bluebird Promise', function() {
+      const result = transaction.run(new MockClient(), () => {}, {});
+      assert.instanceOf(result, Bluebird);
+    });
+
+    it('should commit and resolve with fn result', function() {
+      const client = new MockClient();
+
+      return transaction.run(client, () => 42, {})
+        .then((result) => {
+          assert.strictEqual(result, 42);
+          assert.deepEqual(client.queries, ['BEGIN', 'COMMIT']);
+          assert.isFalse(transaction.isActive(client));
+        });
+    });
+
+    it('should roll back and reject with fn error', function() {
+      const client = new MockClient();
+      const error = new Error('nope');
+
+      return transaction.run(client, () => Promise.reject(error), {})
+        .then(() => {
+          assert.fail('run() should have rejected');
+        }, (err) => {
+          assert.strictEqual(err, error);
+          assert.deepEqual(client.queries, ['BEGIN', 'ROLLBACK']);
+        });
+    });
+
+    it('should call onRollbackError if rollback fails', function() {
+      const client = new MockClient('ROLLBACK');
+      const error = new Error('nope');
+      let rollbackErr;
+
+      const onRollbackError = (err) => {
+        rollbackErr = err;
+      };
+
+      return transaction.run(client, () => {
+        throw error;
+      }, {}, onRollbackError)
+        .catch((err) => {
+          assert.strictEqual(err, error);
+          assert.isOk(rollbackErr);
+        });
+    });
+
+    it('should use savepoints for nested transactions', function() {
+      const client = new MockClient();
+
+      return transaction.run(client, (c) => {
+        assert.isTrue(transaction.isActive(c));
+
+        return transaction.run(c, () => {
+          throw new Error('inner');
+        }, {})
+          .catch(() => {});
+      }, {})
+        .then(() => {
+          assert.deepEqual(client.queries, [
+            'BEGIN',
+            'SAVEPOINT ts_pgconnector_1',
+            'ROLLBACK TO SAVEPOINT ts_pgconnector_1',
+            'COMMIT',
+          ]);
+        });
+    });
+
+    it('should run concurrent nested transactions one at a time', function() {
+      const client = new MockClient();
+      const nested = name => transaction.run(client, c => Bluebird.delay(5)
+        .then(() => c.query(`SELECT '${name}'`)), {});
+
+      return transaction.run(client, () => Bluebird.all([
+        nested('first'),
+        nested('second'),
+      ]), {})
+        .then(() => {
+          assert.deepEqual(client.queries, [
+            'BEGIN',
+            'SAVEPOINT ts_pgconnector_1',
+            'SELECT \'first\'',
+            'RELEASE SAVEPOINT ts_pgconnector_1',
+            'SAVEPOINT ts_pgconnector_1',
+            'SELECT \'second\'',
+            'RELEASE SAVEPOINT ts_pgconnector_1',
+            'COMMIT',
+          ]);
+          assert.isFalse(transaction.isActive(client));
+        });
+    });
+
+    it('should wait for nested transactions before committing', function() {
+      const client = new MockClient();
+
+      return transaction.run(client, (c) => {
+        transaction.run(c, () => Bluebird.delay(5), {});
+      }, {})
+        .then(() => {
+          assert.deepEqual(client.queries, [
+            'BEGIN',
+            'SAVEPOINT ts_pgconnector_1',
+            'RELEASE SAVEPOINT ts_pgconnector_1',
+            'COMMIT',
+          ]);
+        });
+    });
+
+    it('should roll back to a savepoint that fails to release', function() {
+      const client = new MockClient('RELEASE SAVEPOINT ts_pgconnector_1');
+
+      return transaction.run(client, c => transaction.run(c, () => 42, {})
+        .then(() => {
+          assert.fail('run() should have rejected');
+        }, (err) => {
+          assert.match(err.message, /RELEASE SAVEPOINT/);
+        }), {})
+        .then(() => {
+          assert.deepEqual(client.queries, [
+            'BEGIN',
+            'SAVEPOINT ts_pgconnector_1',
+            'RELEASE SAVEPOINT ts_pgconnector_1',
+            'ROLLBACK TO SAVEPOINT ts_pgconnector_1',
+            'COMMIT',
+          ]);
+        });
+    });
+  });
+
+
+  describe('.share', () => {
+    it('should make a client share the transaction of its target', () => {
+      const client = new MockClient();
+      const standIn = Object.create(client);
+
+      transaction.share(standIn, client);
+      assert.isFalse(transaction.isActive(standIn));
+
+      return transaction.run(client, () => {
+        assert.isTrue(transaction.isActive(standIn));
+        return transaction.run(standIn, () => 'inner', {});
+      }, {})
+        .then((result) => {
+          assert.strictEqual(result, 'inner');
+          assert.deepEqual(client.queries, [
+            'BEGIN',
+            'SAVEPOINT ts_pgconnector_1',
+            'RELEASE SAVEPOINT ts_pgconnector_1',
+            'COMMIT',
+          ]);
+        });
+    });
+  });
+});
@@ -0,0 +1,5 @@
+'use strict';
+
+// Lets consumers require('ts-pgconnector/testing').
+//
+module.exports = require('./lib/testing');